@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+const { run } = require("../src/cli");
+
+run(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(`lognexus: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
@@ -1,8 +1,28 @@
+const os = require("os");
+const path = require("path");
 const winstonLogger = require("./src/winstonLogger");
 const morganMiddleware = require("./src/morganMiddleware");
 const s3Stream = require("./src/s3Stream");
 const serverCache = require("./src/serverCache");
 const downloadS3Logs = require("./src/downloadLogFiles");
+const queryLogs = require("./src/queryLogs");
+const requestContext = require("./src/requestContext");
+const redact = require("./src/redact");
+const serializeError = require("./src/serializeError");
+const namespaceLevels = require("./src/namespaceLevels");
+const levelControls = require("./src/levelControls");
+const storage = require("./src/storage");
+const routes = require("./src/routes");
+const metrics = require("./src/metrics");
+const alertTransport = require("./src/alertTransport");
+const adapters = require("./src/adapters");
+const outboundHttp = require("./src/outboundHttp");
+const encryption = require("./src/encryption");
+const retention = require("./src/retention");
+const archiveIndex = require("./src/archiveIndex");
+const logViewer = require("./src/logViewer");
+const flightRecorder = require("./src/flightRecorder");
+const lifecycle = require("./src/lifecycle");
 
 /**
  * Initialize the logger with custom options
@@ -12,44 +32,222 @@ const downloadS3Logs = require("./src/downloadLogFiles");
  * @param {String} options.awsConfig.accessKeyId - AWS access key ID
  * @param {String} options.awsConfig.secretAccessKey - AWS secret access key
  * @param {String} options.awsConfig.region - AWS region
+ * @param {String} options.awsConfig.endpoint - Custom endpoint for S3-compatible storage
+ * @param {Boolean} options.awsConfig.forcePathStyle - Whether to use path-style bucket addressing
+ * @param {Object} options.storage - Where log files are archived
+ * @param {String} options.storage.type - 's3' (AWS S3 or an S3-compatible server) or 'local'
+ * @param {String} options.storage.dir - Archive directory of the local storage
  * @param {String} options.appType - Application type identifier
- * @param {Boolean} options.consoleOverride - Whether to override console methods
+ * @param {Object|Boolean} options.consoleOverride - Capture of console methods, or false to disable
+ * @param {Boolean} options.consoleOverride.callerLocation - Whether to add the caller's file:line to console entries
  * @param {String} options.morganFormat - Custom Morgan format string
+ * @param {Object} options.morganOptions - Access log options
+ * @param {Boolean} options.morganOptions.structured - Log requests as structured objects instead of format strings
+ * @param {Object|Function} options.morganOptions.statusLevels - Level per status class ('5xx', '4xx', 'default') or a function
+ * @param {Array} options.morganOptions.skipPaths - Paths (strings or regular expressions) that are not logged
+ * @param {Function} options.morganOptions.skip - Custom skip function (req, res)
+ * @param {String} options.morganOptions.namespace - Namespace of access log entries (default: 'http')
+ * @param {Number} options.morganOptions.sampleRate - Fraction of successful (< 400) requests that are logged
  * @param {Object} options.winstonConfig - Custom Winston configuration
+ * @param {String|Object} options.logLevels - Per-namespace levels, e.g. "payments:*=debug,db=warn" (later rules win)
+ * @param {Object} options.levelSignal - Signal switching to a temporary level (sending it again switches back)
+ * @param {Boolean} options.levelSignal.enabled - Whether to listen to the signal
+ * @param {String} options.levelSignal.signal - Signal name (default: 'SIGUSR2')
+ * @param {String} options.levelSignal.level - Temporary level (default: 'debug')
+ * @param {String} options.levelSignal.duration - How long the temporary level applies (default: '15m')
+ * @param {String} options.auditLevel - Level of the audit entry logged on every level change
+ * @param {Object} options.sampling - Sampling, rate limiting and duplicate suppression
+ * @param {String|Object|Array} options.sampling.rules - Sample rates, e.g. "debug=0.1,info=0.1" or [{ level, namespace, rate }]
+ * @param {Object} options.sampling.rateLimit - Token bucket rate limit
+ * @param {Number} options.sampling.rateLimit.perSecond - Entries per second per bucket (0 disables the limit)
+ * @param {Number} options.sampling.rateLimit.burst - Bucket size (default: perSecond)
+ * @param {String} options.sampling.rateLimit.per - One bucket per 'namespace', 'level' or 'global'
+ * @param {Object} options.sampling.dedup - Duplicate suppression
+ * @param {String|Number} options.sampling.dedup.window - Window in which repeated messages are collapsed ('5s'; 0 disables)
+ * @param {Number} options.sampling.dedup.maxKeys - Maximum number of distinct messages tracked at once
+ * @param {String} options.sampling.keepLevel - Entries at this level or more severe are never sampled or rate limited
+ * @param {String|Number} options.sampling.reportEvery - How often counters of suppressed entries are logged
+ * @param {Object} options.metrics - Built-in metrics of logging and HTTP traffic
+ * @param {Boolean} options.metrics.enabled - Whether to count log entries and requests
+ * @param {String} options.metrics.prefix - Prefix of the metric names (default: 'lognexus_')
+ * @param {Array} options.metrics.latencyBuckets - Request latency histogram buckets in seconds
+ * @param {Object} options.alerts - Webhook alerts on uncaught exceptions, error bursts and matching messages
+ * @param {String} options.alerts.url - Webhook URL (alerts are off without one)
+ * @param {String|Function} options.alerts.template - Payload template: 'json', 'slack', 'teams' or a function (alerts, context)
+ * @param {Array} options.alerts.rules - Rules ({ name, level, pattern, fatal, match, threshold, window, throttle })
+ * @param {String|Number} options.alerts.throttle - Quiet period of a rule after it fired (default: '5m')
+ * @param {String|Number} options.alerts.batchWindow - How long alerts are collected before posting (default: '10s')
+ * @param {Object} options.alerts.headers - Extra request headers
+ * @param {Object} options.flightRecorder - In-memory buffer of recent entries at all levels, written out when an error is logged
+ * @param {Boolean} options.flightRecorder.enabled - Whether to record entries (off by default)
+ * @param {Number} options.flightRecorder.size - Most recent entries kept across all requests (default: 500)
+ * @param {Number} options.flightRecorder.requestSize - Most recent entries kept per request ID (default: 100)
+ * @param {Number} options.flightRecorder.maxRequests - Request IDs tracked at once (default: 100)
+ * @param {String|Boolean} options.flightRecorder.triggerLevel - Level writing the buffer (default: 'error'; false for uncaught exceptions and dumpRecent only)
+ * @param {Object|Boolean} options.encryption - Client-side encryption of archived files (off without a key), or false to disable
+ * @param {String} options.encryption.key - Current master key (32 bytes, base64 or hex)
+ * @param {String} options.encryption.keyId - ID of the current key, stored with every file (default: 'default')
+ * @param {Object|String} options.encryption.keys - Older keys by ID, still used to read files written with them
+ * @param {Object} options.encryption.keyProvider - Custom key provider ({ generateDataKey, decryptDataKey }, e.g. backed by KMS)
+ * @param {Boolean} options.encryption.requireEncryption - Whether plain files are rejected when reading (default: true)
+ * @param {Object} options.retention - Defaults of pruneLogs()
+ * @param {String} options.retention.olderThan - Retention period of archived files ('30d')
+ * @param {Object|String} options.retention.rules - Retention periods per prefix ({ 'logs/app/access/': '7d' } or 'prefix=period,...')
+ * @param {Object} options.outbound - Logging of outbound http/https requests and fetch calls
+ * @param {Boolean} options.outbound.enabled - Whether to instrument outbound calls (off by default)
+ * @param {String|Array} options.outbound.include - Host wildcards that are logged (all hosts by default)
+ * @param {String|Array} options.outbound.exclude - Host wildcards that are not logged
+ * @param {Array} options.outbound.headers - Request and response headers to log
+ * @param {Object|Function} options.outbound.statusLevels - Level per status class ('5xx', '4xx', 'default') or a function
  * @param {Number} options.cacheInterval - Cache clearing interval in milliseconds
  * @param {Object} options.s3Config - Additional S3 streaming configuration
  * @param {String} options.s3Config.folder - S3 folder path for logs
  * @param {String} options.s3Config.nameFormat - Format for log file names
  * @param {String} options.s3Config.rotateEvery - Rotation period ('1h', '1d', etc.)
  * @param {Number} options.s3Config.maxFileSize - Maximum file size in bytes
- * @param {Number} options.s3Config.uploadEvery - Upload interval in milliseconds
+ * @param {Number} options.s3Config.uploadEvery - Upload interval in milliseconds: how often the spool uploads, or the S3 transport completes the open file
+ * @param {Number} options.s3Config.partSize - Multipart upload part size in bytes (at least 5 MB)
+ * @param {Number} options.s3Config.maxBufferSize - Bytes waiting for upload after which new entries are dropped
  * @param {Boolean} options.s3Config.compress - Whether to compress log files
+ * @param {String|Object} options.s3Config.sse - Server-side encryption: 'AES256', 'aws:kms' or { type, kmsKeyId, bucketKeyEnabled }
+ * @param {Object} options.s3Config.spool - Local disk spool for S3 uploads
+ * @param {Boolean} options.s3Config.spool.enabled - Whether to spool entries to disk before uploading
+ * @param {String} options.s3Config.spool.dir - Spool directory
+ * @param {Number} options.s3Config.spool.maxSize - Maximum spool size in bytes
+ * @param {String} options.s3Config.spool.dropPolicy - What to discard when the spool is full ('oldest' or 'newest')
+ * @param {Number} options.s3Config.spool.minRetryDelay - First retry delay in milliseconds
+ * @param {Number} options.s3Config.spool.maxRetryDelay - Maximum retry delay in milliseconds
+ * @param {Number} options.s3Config.spool.backlogThreshold - Pending files before delivery counts as falling behind
+ * @param {Array} options.routes - Separate S3 destinations; each entry is written to the first route it matches, or to s3Config
+ * @param {String} options.routes[].name - Route name (default: 'route-<n>')
+ * @param {Object|Function} options.routes[].match - { level, category, namespace } (values or arrays of values) or a function (info)
+ * @param {String} options.routes[].folder - S3 folder path (default: '<s3Config.folder><name>/')
+ * @param {String} options.routes[].nameFormat - Format for log file names (default: s3Config.nameFormat)
+ * @param {String} options.routes[].rotateEvery - Rotation period (default: s3Config.rotateEvery)
+ * @param {Number} options.routes[].maxFileSize - Maximum file size in bytes (default: s3Config.maxFileSize)
+ * @param {Number} options.routes[].uploadEvery - Upload interval in milliseconds (default: s3Config.uploadEvery)
+ * @param {Boolean} options.routes[].compress - Whether to compress log files (default: s3Config.compress)
+ * @param {Number} options.routes[].partSize - Multipart upload part size in bytes (default: s3Config.partSize)
+ * @param {Number} options.routes[].maxBufferSize - Bytes waiting for upload (default: s3Config.maxBufferSize)
  * @param {Boolean} options.enableConsoleLogging - Whether to enable console transport
  * @param {Boolean} options.enableS3Logging - Whether to enable S3 streaming
  * @param {Boolean} options.enableUnhandledErrorLogging - Whether to set up global error handlers
- * @returns {Object} - The logger instance
+ * @param {Boolean} options.shutdownHooks - Whether to flush and close on SIGTERM/SIGINT/beforeExit
+ * @param {Number} options.shutdownTimeout - Maximum time to wait for shutdown in milliseconds
+ * @param {Boolean} options.exitOnFatal - Whether to log, flush, then exit(1) on uncaught exceptions
+ * @param {Object|Boolean} options.redact - Redaction of sensitive values, or false to disable
+ * @param {Array} options.redact.paths - Key paths to mask in addition to redact.DEFAULT_PATHS (supports '*' and '**' wildcards)
+ * @param {Boolean} options.redact.defaultPaths - Whether redact.DEFAULT_PATHS are masked too (default: true)
+ * @param {Array} options.redact.patterns - Custom regular expressions to mask inside strings
+ * @param {Array} options.redact.detectors - Built-in detectors ('email', 'card', 'bearer', 'awsKey')
+ * @param {String} options.redact.replacement - Replacement text
+ * @param {Object} options.requestContext - Per-request context configuration
+ * @param {String} options.requestContext.header - Request ID header to reuse and echo back
+ * @param {Boolean} options.requestContext.echoHeader - Whether to set the request ID on responses
+ * @param {Function} options.requestContext.generateId - Custom request ID generator
+ * @returns {Object} - The logger instance, middleware (Express, Fastify, Koa, plain http), NestJS logger and log viewer, lifecycle controls (flush, shutdown), the flight recorder's dumpRecent, level controls (setLevel, getLevels, levelAdmin) and helpers bound to its archive (downloadLogs, queryLogs, pruneLogs, compactLogs)
  */
 function init(options = {}) {
+  // the instance's app type, not another instance's, names its defaults
+  const appType = options.appType || process.env.APP_TYPE || "development";
+
   const defaults = {
     awsConfig: {
       bucketName: process.env.AWS_S3_BUCKET_NAME || "logs-bucket",
       accessKeyId: process.env.AWS_S3_ACCESS_KEY_ID,
       secretAccessKey: process.env.AWS_S3_SECRET_ACCESS_KEY,
       region: process.env.AWS_REGION || "us-east-1",
+      endpoint: process.env.AWS_S3_ENDPOINT,
+      forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE === "true",
+    },
+    storage: {
+      type: process.env.LOG_STORAGE || "s3",
+      dir:
+        process.env.LOG_STORAGE_DIR || path.join(process.cwd(), "log-archive"),
+    },
+    appType,
+    consoleOverride: {
+      enabled: true,
+      callerLocation: process.env.LOG_CALLER_LOCATION === "true",
     },
-    appType: process.env.APP_TYPE || "development",
-    consoleOverride: true,
     morganFormat:
       ":date[iso] :method :url :status :response-time ms :referrer :remote-addr :user-agent :remote-user",
+    morganOptions: {
+      structured: process.env.MORGAN_STRUCTURED === "true",
+      sampleRate: parseFloat(process.env.MORGAN_SAMPLE_RATE || 1),
+    },
     winstonConfig: {},
+    logLevels: process.env.LOG_LEVELS,
+    levelSignal: {
+      enabled: process.env.ENABLE_LOG_LEVEL_SIGNAL === "true",
+      signal: process.env.LOG_LEVEL_SIGNAL || "SIGUSR2",
+      level: process.env.LOG_LEVEL_SIGNAL_LEVEL || "debug",
+      duration: process.env.LOG_LEVEL_SIGNAL_DURATION || "15m",
+    },
+    auditLevel: "warn",
+    sampling: {
+      rules: process.env.LOG_SAMPLE_RATES,
+      rateLimit: {
+        perSecond: parseFloat(process.env.LOG_RATE_LIMIT || 0),
+        per: process.env.LOG_RATE_LIMIT_PER || "namespace",
+      },
+      dedup: {
+        window: process.env.LOG_DEDUP_WINDOW || 0,
+        maxKeys: 1000,
+      },
+      keepLevel: "error",
+      reportEvery: "1m",
+    },
+    metrics: {
+      enabled: process.env.ENABLE_LOG_METRICS !== "false",
+      prefix: process.env.LOG_METRICS_PREFIX || "lognexus_",
+      latencyBuckets: metrics.DEFAULT_BUCKETS,
+    },
+    alerts: {
+      url: process.env.LOG_ALERT_WEBHOOK_URL,
+      template: process.env.LOG_ALERT_TEMPLATE || "json",
+      rules: [
+        { name: "fatal", fatal: true },
+        {
+          name: "error-burst",
+          level: "error",
+          threshold: parseInt(process.env.LOG_ALERT_ERROR_THRESHOLD || 10),
+          window: "1m",
+        },
+      ],
+      throttle: process.env.LOG_ALERT_THROTTLE || "5m",
+      batchWindow: process.env.LOG_ALERT_BATCH_WINDOW || "10s",
+    },
+    flightRecorder: {
+      enabled: process.env.LOG_FLIGHT_RECORDER === "true",
+      size: parseInt(process.env.LOG_FLIGHT_RECORDER_SIZE || 500),
+      requestSize: parseInt(
+        process.env.LOG_FLIGHT_RECORDER_REQUEST_SIZE || 100
+      ),
+      maxRequests: 100,
+      triggerLevel: process.env.LOG_FLIGHT_RECORDER_TRIGGER_LEVEL || "error",
+    },
+    encryption: {
+      key: process.env.LOG_ENCRYPTION_KEY,
+      keyId: process.env.LOG_ENCRYPTION_KEY_ID,
+      keys: process.env.LOG_ENCRYPTION_KEYS,
+      requireEncryption: process.env.LOG_ENCRYPTION_REQUIRED,
+    },
+    retention: {
+      olderThan: process.env.LOG_RETENTION,
+      rules: process.env.LOG_RETENTION_RULES,
+    },
+    outbound: {
+      enabled: process.env.LOG_OUTBOUND_HTTP === "true",
+      include: process.env.LOG_OUTBOUND_INCLUDE,
+      exclude: process.env.LOG_OUTBOUND_EXCLUDE,
+      headers: [],
+    },
     cacheInterval: 3 * 60 * 60 * 1000, // 3 hours
     s3Config: {
-      folder:
-        process.env.S3_LOG_FOLDER ||
-        `logs/${process.env.APP_TYPE || "development"}/`,
+      folder: process.env.S3_LOG_FOLDER || `logs/${appType}/`,
       nameFormat:
-        process.env.S3_LOG_NAME_FORMAT ||
-        `%Y-%m-%d-%H-%M-${process.env.APP_TYPE || "development"}-error.log`,
+        process.env.S3_LOG_NAME_FORMAT || `%Y-%m-%d-%H-%M-${appType}-error.log`,
       rotateEvery: process.env.S3_LOG_ROTATE_EVERY || "1h",
       maxFileSize: parseInt(
         process.env.S3_LOG_MAX_FILE_SIZE || 1024 * 1024 * 5
@@ -58,11 +256,46 @@ function init(options = {}) {
         process.env.S3_LOG_UPLOAD_EVERY || 3 * 60 * 60 * 1000
       ), // 3 hours
       compress: process.env.S3_LOG_COMPRESS !== "false",
+      sse: process.env.S3_LOG_SSE && {
+        type: process.env.S3_LOG_SSE,
+        kmsKeyId: process.env.S3_LOG_SSE_KMS_KEY_ID,
+      },
+      partSize: parseInt(process.env.S3_LOG_PART_SIZE || 5 * 1024 * 1024), // 5 MB
+      maxBufferSize: parseInt(
+        process.env.S3_LOG_MAX_BUFFER_SIZE || 20 * 1024 * 1024
+      ), // 20 MB
+      spool: {
+        enabled: process.env.S3_LOG_SPOOL_ENABLED === "true",
+        dir:
+          process.env.S3_LOG_SPOOL_DIR ||
+          path.join(os.tmpdir(), "lognexus-spool", appType),
+        maxSize: parseInt(
+          process.env.S3_LOG_SPOOL_MAX_SIZE || 100 * 1024 * 1024
+        ), // 100 MB
+        dropPolicy: process.env.S3_LOG_SPOOL_DROP_POLICY || "oldest",
+        minRetryDelay: 1000,
+        maxRetryDelay: 5 * 60 * 1000,
+        backlogThreshold: 10,
+      },
     },
+    routes: [],
     enableConsoleLogging: process.env.ENABLE_CONSOLE_LOGGING !== "false",
     enableS3Logging: process.env.ENABLE_S3_LOGGING !== "false",
     enableUnhandledErrorLogging:
       process.env.ENABLE_UNHANDLED_ERROR_LOGGING !== "false",
+    shutdownHooks: process.env.ENABLE_SHUTDOWN_HOOKS === "true",
+    shutdownTimeout: parseInt(process.env.LOG_SHUTDOWN_TIMEOUT || 10000),
+    exitOnFatal: process.env.EXIT_ON_FATAL_ERROR === "true",
+    redact: {
+      enabled: process.env.ENABLE_LOG_REDACTION !== "false",
+      paths: [],
+      patterns: [],
+      replacement: process.env.LOG_REDACTION_REPLACEMENT || "[REDACTED]",
+    },
+    requestContext: {
+      header: process.env.REQUEST_ID_HEADER || "X-Request-Id",
+      echoHeader: true,
+    },
   };
 
   const config = {
@@ -72,29 +305,103 @@ function init(options = {}) {
       ...defaults.awsConfig,
       ...(options.awsConfig || {}),
     },
+    storage: {
+      ...defaults.storage,
+      ...(options.storage || {}),
+    },
+    morganOptions: {
+      ...defaults.morganOptions,
+      ...(options.morganOptions || {}),
+    },
     winstonConfig: {
       ...defaults.winstonConfig,
       ...(options.winstonConfig || {}),
     },
+    levelSignal: {
+      ...defaults.levelSignal,
+      ...(options.levelSignal || {}),
+    },
+    metrics: {
+      ...defaults.metrics,
+      ...(options.metrics || {}),
+    },
+    alerts: {
+      ...defaults.alerts,
+      ...(options.alerts || {}),
+    },
+    flightRecorder: {
+      ...defaults.flightRecorder,
+      ...(options.flightRecorder || {}),
+    },
+    encryption:
+      options.encryption === false
+        ? false
+        : {
+            ...defaults.encryption,
+            ...(options.encryption || {}),
+          },
+    retention: {
+      ...defaults.retention,
+      ...(options.retention || {}),
+    },
+    outbound: {
+      ...defaults.outbound,
+      ...(options.outbound || {}),
+    },
+    sampling: {
+      ...defaults.sampling,
+      ...(options.sampling || {}),
+      rateLimit: {
+        ...defaults.sampling.rateLimit,
+        ...((options.sampling && options.sampling.rateLimit) || {}),
+      },
+      dedup: {
+        ...defaults.sampling.dedup,
+        ...((options.sampling && options.sampling.dedup) || {}),
+      },
+    },
     s3Config: {
       ...defaults.s3Config,
       ...(options.s3Config || {}),
+      spool: {
+        ...defaults.s3Config.spool,
+        ...((options.s3Config && options.s3Config.spool) || {}),
+      },
+    },
+    consoleOverride:
+      options.consoleOverride === false
+        ? false
+        : {
+            ...defaults.consoleOverride,
+            ...(typeof options.consoleOverride === "object"
+              ? options.consoleOverride
+              : {}),
+          },
+    redact:
+      options.redact === false
+        ? false
+        : {
+            ...defaults.redact,
+            ...(options.redact || {}),
+          },
+    requestContext: {
+      ...defaults.requestContext,
+      ...(options.requestContext || {}),
     },
   };
 
-  if (config.cacheInterval) {
-    serverCache.initCacheClear(config.cacheInterval);
-  }
+  // every instance owns its timers, streams and handlers; nothing is shared
+  // through globals or module-level caches
+  const stopCacheClear = config.cacheInterval
+    ? serverCache.scheduleCacheClear(config.cacheInterval)
+    : null;
 
-  global.APP_TYPE = config.appType;
-  global.awsCred = {
-    awsS3BucketId: config.awsConfig.accessKeyId,
-    awsBucketNameForLogs: config.awsConfig.bucketName,
-    awsS3BucketSecret: config.awsConfig.secretAccessKey,
-    region: config.awsConfig.region,
-  };
+  // resolved once, so that a misconfigured key fails here rather than on the
+  // first upload
+  const keyProvider = encryption.resolveKeyProvider(config.encryption);
 
   const s3StreamConfig = {
+    app_type: config.appType,
     bucket: config.awsConfig.bucketName,
     access_key_id: config.awsConfig.accessKeyId,
     secret_access_key: config.awsConfig.secretAccessKey,
@@ -105,11 +412,38 @@ function init(options = {}) {
     max_file_size: config.s3Config.maxFileSize,
     upload_every: config.s3Config.uploadEvery,
     compress: config.s3Config.compress,
+    encryption: keyProvider,
+    sse: config.s3Config.sse,
+    part_size: config.s3Config.partSize,
+    max_buffer_size: config.s3Config.maxBufferSize,
+    endpoint: config.awsConfig.endpoint,
+    force_path_style: config.awsConfig.forcePathStyle,
+    spool: {
+      enabled: config.s3Config.spool.enabled,
+      dir: config.s3Config.spool.dir,
+      max_spool_size: config.s3Config.spool.maxSize,
+      drop_policy: config.s3Config.spool.dropPolicy,
+      min_retry_delay: config.s3Config.spool.minRetryDelay,
+      max_retry_delay: config.s3Config.spool.maxRetryDelay,
+      backlog_threshold: config.s3Config.spool.backlogThreshold,
+    },
+    storage: config.storage,
   };
 
+  const registry = metrics.createRegistry({ prefix: config.metrics.prefix });
+
+  const alerts = config.alerts.url
+    ? new alertTransport.AlertTransport({
+        source: config.appType,
+        ...config.alerts,
+      })
+    : null;
+
   let s3LogStream = null;
+  let s3Routes = [];
   if (config.enableS3Logging) {
-    s3LogStream = s3Stream.getStream(s3StreamConfig);
+    s3LogStream = s3Stream.createStream(s3StreamConfig);
+    s3Routes = _createRouteStreams(config, s3StreamConfig);
   }
 
   const logger = winstonLogger.createLogger(
@@ -118,22 +452,364 @@ function init(options = {}) {
       enableConsoleLogging: config.enableConsoleLogging,
       enableS3Logging: config.enableS3Logging,
       s3Stream: s3LogStream,
+      s3Routes,
       enableUnhandledErrorLogging: config.enableUnhandledErrorLogging,
+      redact: config.redact,
+      logLevels: config.logLevels,
+      sampling: config.sampling,
+      metrics: config.metrics.enabled ? registry : null,
+      alerts,
+      flightRecorder: config.flightRecorder,
+      exitOnFatal: config.exitOnFatal,
+      onFatal: () => controls.shutdown({ timeout: config.shutdownTimeout }),
     },
     config.consoleOverride
   );
 
-  const morgan = morganMiddleware.create(config.morganFormat, logger);
+  const usesSpool =
+    config.s3Config.spool.enabled || config.storage.type === "local";
+  for (const stream of [s3LogStream, ...s3Routes.map((r) => r.stream)]) {
+    if (stream && usesSpool) {
+      _reportSpoolDelivery(stream, logger);
+    } else if (stream) {
+      _reportS3Delivery(stream, logger);
+    }
+  }
+
+  if (alerts) {
+    _reportAlertDelivery(alerts, logger);
+  }
+
+  const restoreOutbound = config.outbound.enabled
+    ? outboundHttp.instrument(logger, config.outbound)
+    : null;
+
+  _collectS3Metrics(registry, [
+    { name: routes.DEFAULT_ROUTE, stream: s3LogStream },
+    ...s3Routes,
+  ]);
+
+  const levels = levelControls.createLevelControls({
+    logger,
+    auditLevel: config.auditLevel,
+  });
+
+  if (config.levelSignal.enabled) {
+    levels.registerSignal(config.levelSignal);
+  }
+
+  const controls = lifecycle.createLifecycle({
+    logger,
+    s3Stream: s3LogStream,
+    s3Streams: s3Routes.map((route) => route.stream),
+    alerts,
+    flushStream: s3Stream.flush,
+    stopCacheClear,
+    removeErrorHandlers: logger.removeErrorHandlers,
+    restoreConsole: logger.restoreConsole,
+    restoreOutbound,
+    stopLevelControls: levels.stop,
+    stopSampler: logger.sampler && logger.sampler.stop,
+    timeout: config.shutdownTimeout,
+  });
+
+  if (config.shutdownHooks) {
+    controls.registerHooks({ timeout: config.shutdownTimeout });
+  }
+
+  const morgan = morganMiddleware.create(config.morganFormat, logger, {
+    ...config.morganOptions,
+    requestContext: config.requestContext,
+    metrics: config.metrics.enabled ? registry : null,
+    latencyBuckets: config.metrics.latencyBuckets,
+  });
 
   return {
     logger,
     morgan,
+    fastifyPlugin: adapters.createFastifyPlugin(morgan),
+    koaMiddleware: adapters.createKoaMiddleware(morgan),
+    wrapHttpHandler: adapters.createHttpWrapper(morgan),
+    nestLogger: new adapters.NestLogger(logger),
+    logViewer: (viewerOptions = {}) =>
+      logViewer.createLogViewer({
+        logger,
+        prefix: config.s3Config.folder,
+        ..._readOptions(config, viewerOptions, keyProvider),
+      }),
     s3Stream: s3LogStream,
+    s3Routes: s3Routes.reduce(
+      (streams, route) => ({ ...streams, [route.name]: route.stream }),
+      {}
+    ),
     clearCache: serverCache.clearCache,
+    addContext: requestContext.addContext,
+    flush: controls.flush,
+    shutdown: controls.shutdown,
+    restoreConsole: logger.restoreConsole || (() => {}),
+    restoreOutbound: restoreOutbound || (() => {}),
+    setLevel: levels.setLevel,
+    getLevels: levels.getLevels,
+    levelAdmin: levels.adminHandler,
+    metrics: registry,
+    metricsHandler: registry.handler,
+    getStats: registry.getStats,
+    alerts,
+    dumpRecent: (dumpOptions = {}) =>
+      logger.flightRecorder ? logger.flightRecorder.dump(dumpOptions) : [],
+    downloadLogs: (localDownloadDir, downloadOptions = {}) =>
+      downloadS3Logs(
+        downloadOptions.prefix || config.s3Config.folder,
+        localDownloadDir,
+        _readOptions(config, downloadOptions, keyProvider)
+      ),
+    queryLogs: (query = {}) =>
+      queryLogs({
+        prefix: config.s3Config.folder,
+        ..._readOptions(config, query, keyProvider),
+      }),
+    pruneLogs: (pruneOptions = {}) =>
+      retention.pruneLogs({
+        prefix: config.s3Config.folder,
+        olderThan: config.retention.olderThan,
+        rules: config.retention.rules,
+        sse: config.s3Config.sse,
+        ..._readOptions(config, pruneOptions, keyProvider),
+      }),
+    compactLogs: (compactOptions = {}) =>
+      retention.compactLogs({
+        prefix: config.s3Config.folder,
+        sse: config.s3Config.sse,
+        ..._readOptions(config, compactOptions, keyProvider),
+      }),
     config,
   };
 }
 
+/**
+ * Returns options of the read path (downloads, queries) and of maintenance
+ * (pruning, compaction) defaulting to the archive an instance writes: its AWS
+ * settings, storage, name format, rotation period and encryption keys
+ * @param {Object} config - Merged init configuration
+ * @param {Object} overrides - Options given by the caller
+ * @param {Object} keyProvider - Key provider of the instance, or null
+ * @returns {Object} - Read options
+ * @private
+ */
+function _readOptions(config, overrides, keyProvider) {
+  return {
+    nameFormat: config.s3Config.nameFormat,
+    rotateEvery: config.s3Config.rotateEvery,
+    storage: config.storage,
+    encryption: keyProvider || false,
+    ...overrides,
+    awsConfig: {
+      ...config.awsConfig,
+      ...(overrides.awsConfig || {}),
+    },
+  };
+}
+
+/**
+ * Logs failed alert posts. The entries are marked so that they cannot raise
+ * alerts themselves.
+ * @param {Object} transport - Alert transport
+ * @param {Object} logger - Winston logger instance
+ * @private
+ */
+function _reportAlertDelivery(transport, logger) {
+  transport.on("failed", ({ alerts, error }) => {
+    if (logger.writable) {
+      logger.log({
+        level: "warn",
+        message: "Alert webhook failed, alerts lost",
+        namespace: "lognexus",
+        alerts: alerts.map((alert) => alert.rule),
+        error: error && error.message,
+        [alertTransport.ALERT_ENTRY]: true,
+      });
+    }
+  });
+}
+
+/**
+ * Creates the S3 stream of every log route. Settings a route does not set
+ * are taken from s3Config; its files go to a subfolder named after it.
+ * @param {Object} config - Merged init configuration
+ * @param {Object} s3StreamConfig - Configuration of the default S3 stream
+ * @returns {Array} - Routes ({ name, match, stream })
+ * @private
+ */
+function _createRouteStreams(config, s3StreamConfig) {
+  return routes.parseRoutes(config.routes).map(({ name, options }) => {
+    const pick = (key) =>
+      options[key] !== undefined ? options[key] : config.s3Config[key];
+
+    const stream = s3Stream.createStream({
+      ...s3StreamConfig,
+      name: `s3:${name}`,
+      folder: options.folder || `${config.s3Config.folder}${name}/`,
+      name_format: pick("nameFormat"),
+      rotate_every: pick("rotateEvery"),
+      max_file_size: pick("maxFileSize"),
+      upload_every: pick("uploadEvery"),
+      compress: pick("compress"),
+      part_size: pick("partSize"),
+      max_buffer_size: pick("maxBufferSize"),
+      spool: {
+        ...s3StreamConfig.spool,
+        dir: path.join(s3StreamConfig.spool.dir, name),
+      },
+    });
+
+    return { name, match: options.match, stream };
+  });
+}
+
+/**
+ * Exposes the upload statistics of the S3 streams as metrics, labelled with
+ * their destination (route name or 'default')
+ * @param {Object} registry - Metrics registry
+ * @param {Array} destinations - { name, stream } of every S3 stream
+ * @private
+ */
+function _collectS3Metrics(registry, destinations) {
+  const streams = destinations.filter(
+    ({ stream }) => stream && typeof stream.getStats === "function"
+  );
+
+  // spool streams and S3 transports name some of their counters differently
+  const metric = (name, help, type, read) =>
+    registry.collect({ name, help, type }, () =>
+      streams.map(({ name: destination, stream }) => ({
+        labels: { destination },
+        value: read(stream.getStats()) || 0,
+      }))
+    );
+
+  metric(
+    "s3_uploaded_bytes_total",
+    "Bytes uploaded to the log archive",
+    "counter",
+    (stats) => stats.uploadedBytes
+  );
+  metric(
+    "s3_uploaded_files_total",
+    "Log files uploaded to the log archive",
+    "counter",
+    (stats) => (stats.files !== undefined ? stats.files : stats.uploaded)
+  );
+  metric(
+    "s3_upload_failures_total",
+    "Failed log file uploads",
+    "counter",
+    (stats) => stats.failed
+  );
+  metric(
+    "s3_dropped_total",
+    "Log entries or spooled files dropped before upload",
+    "counter",
+    (stats) => stats.dropped
+  );
+  metric(
+    "s3_buffered_bytes",
+    "Bytes waiting for upload (in memory or in the spool)",
+    "gauge",
+    (stats) =>
+      stats.bufferedBytes !== undefined ? stats.bufferedBytes : stats.spoolSize
+  );
+  metric(
+    "s3_pending_files",
+    "Log files waiting for upload",
+    "gauge",
+    (stats) =>
+      stats.pendingFiles !== undefined ? stats.pendingFiles : stats.pending
+  );
+}
+
+/**
+ * Logs spool delivery problems through the logger itself
+ * @param {Object} spoolStream - Spool stream
+ * @param {Object} logger - Winston logger instance
+ * @private
+ */
+function _reportSpoolDelivery(spoolStream, logger) {
+  spoolStream.on("retry", ({ key, attempt, delay, error }) => {
+    logger.warn("S3 log upload failed, retrying", {
+      key,
+      attempt,
+      retryIn: delay,
+      error: error && error.message,
+    });
+  });
+
+  spoolStream.on("backlog", (backlog) => {
+    logger.warn("S3 log delivery is falling behind", backlog);
+  });
+
+  spoolStream.on("recovered", () => {
+    logger.info("S3 log delivery has caught up");
+  });
+
+  // Entries dropped because the spool is full are reported once until
+  // delivery resumes; reporting each one would only fill the spool further.
+  let droppingEntries = false;
+  spoolStream.on("drop", ({ reason, bytes, file }) => {
+    if (file) {
+      logger.warn("Spooled log file dropped", { reason, bytes, file });
+    } else if (!droppingEntries) {
+      droppingEntries = true;
+      logger.warn("Log spool is full, dropping new entries", { reason });
+    }
+  });
+
+  spoolStream.on("uploaded", () => {
+    droppingEntries = false;
+  });
+}
+
+/**
+ * Logs S3 transport upload problems through the logger itself
+ * @param {Object} transport - S3 transport
+ * @param {Object} logger - Winston logger instance
+ * @private
+ */
+function _reportS3Delivery(transport, logger) {
+  transport.on("retry", ({ key, attempt, delay, error }) => {
+    logger.warn("S3 log upload failed, retrying", {
+      key,
+      attempt,
+      retryIn: delay,
+      error: error && error.message,
+    });
+  });
+
+  transport.on("failed", ({ key, error }) => {
+    logger.warn("S3 log upload failed, entries lost", {
+      key,
+      error: error && error.message,
+    });
+  });
+
+  // reported once until uploads catch up, like the spool
+  let droppingEntries = false;
+  transport.on("drop", ({ reason }) => {
+    if (!droppingEntries) {
+      droppingEntries = true;
+      logger.warn("S3 upload buffer is full, dropping new entries", {
+        reason,
+      });
+    }
+  });
+
+  transport.on("part", () => {
+    droppingEntries = false;
+  });
+  transport.on("uploaded", () => {
+    droppingEntries = false;
+  });
+}
+
 module.exports = {
   init,
   winstonLogger,
@@ -141,4 +817,20 @@ module.exports = {
   s3Stream,
   serverCache,
   downloadS3Logs,
+  queryLogs,
+  requestContext,
+  redact,
+  serializeError,
+  namespaceLevels,
+  storage,
+  routes,
+  metrics,
+  alertTransport,
+  adapters,
+  outboundHttp,
+  encryption,
+  retention,
+  archiveIndex,
+  logViewer,
+  flightRecorder,
 };
@@ -0,0 +1,174 @@
+const util = require("util");
+const { ROUTE } = require("./morganMiddleware");
+
+/**
+ * Creates a Fastify plugin running the access log middleware from an
+ * `onRequest` hook. Entries are written when the response finishes, with the
+ * same fields, request context and metrics as the Express middleware, and
+ * the route pattern from Fastify's router.
+ * @param {Function} middleware - Middleware returned by morganMiddleware.create
+ * @returns {Function} - Fastify plugin (register it on the root instance)
+ */
+function createFastifyPlugin(middleware) {
+  function lognexusFastify(fastify, options, done) {
+    fastify.addHook("onRequest", (request, reply, next) => {
+      request.raw[ROUTE] = () =>
+        (request.routeOptions && request.routeOptions.url) ||
+        request.routerPath;
+      middleware(request.raw, reply.raw, next);
+    });
+    done();
+  }
+
+  // like fastify-plugin: the hook applies to every route, not only to the
+  // plugin's own encapsulated context
+  lognexusFastify[Symbol.for("skip-override")] = true;
+  lognexusFastify[Symbol.for("fastify.display-name")] = "lognexus";
+  return lognexusFastify;
+}
+
+/**
+ * Creates a Koa middleware running the access log middleware on the raw
+ * request and response. Downstream middleware runs inside the request
+ * context; the route pattern comes from @koa/router when it is used.
+ * @param {Function} middleware - Middleware returned by morganMiddleware.create
+ * @returns {Function} - Koa middleware (ctx, next)
+ */
+function createKoaMiddleware(middleware) {
+  return function lognexusKoa(ctx, next) {
+    // mounted apps rewrite req.url; log the URL the client asked for
+    ctx.req.originalUrl = ctx.originalUrl;
+    ctx.req[ROUTE] = () => ctx._matchedRoute;
+
+    return new Promise((resolve) => {
+      middleware(ctx.req, ctx.res, () => resolve(next()));
+    });
+  };
+}
+
+/**
+ * Creates a function wrapping a plain `http.createServer` request handler
+ * with the access log middleware
+ * @param {Function} middleware - Middleware returned by morganMiddleware.create
+ * @returns {Function} - Function (handler) returning the wrapped handler (req, res)
+ */
+function createHttpWrapper(middleware) {
+  return function wrapHandler(handler) {
+    return function lognexusHandler(req, res) {
+      middleware(req, res, () => handler.call(this, req, res));
+    };
+  };
+}
+
+/**
+ * NestJS LoggerService writing Nest's logs (and those of its Logger class)
+ * through a lognexus logger. Each Nest context ('NestApplication',
+ * 'UsersService', ...) becomes a namespace under `namespace`, so its level
+ * can be set with logLevels ('nest:UsersService=debug').
+ */
+class NestLogger {
+  /**
+   * @param {Object} logger - Winston logger instance
+   * @param {Object} options - Logger options
+   * @param {String} options.namespace - Namespace prefix of Nest's entries (default: 'nest')
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.namespace = options.namespace || "nest";
+    this._enabled = null;
+  }
+
+  log(message, ...optionalParams) {
+    this._write("log", "info", message, optionalParams);
+  }
+
+  error(message, ...optionalParams) {
+    this._write("error", "error", message, optionalParams, true);
+  }
+
+  warn(message, ...optionalParams) {
+    this._write("warn", "warn", message, optionalParams);
+  }
+
+  debug(message, ...optionalParams) {
+    this._write("debug", "debug", message, optionalParams);
+  }
+
+  verbose(message, ...optionalParams) {
+    this._write("verbose", "verbose", message, optionalParams);
+  }
+
+  fatal(message, ...optionalParams) {
+    this._write("fatal", "error", message, optionalParams, true, {
+      fatal: true,
+    });
+  }
+
+  /**
+   * Restricts the Nest levels that are logged (app.useLogger / the `logger`
+   * option of NestFactory.create pass e.g. ['error', 'warn', 'log'])
+   * @param {Array} levels - Enabled Nest levels
+   */
+  setLogLevels(levels) {
+    this._enabled = new Set(levels);
+  }
+
+  /**
+   * @private
+   */
+  _write(nestLevel, level, message, params, withStack = false, meta = {}) {
+    if (this._enabled && !this._enabled.has(nestLevel)) {
+      return;
+    }
+
+    // like Nest's ConsoleLogger: a trailing string is the context, except
+    // for an error's lone stack trace; an error's first extra string is its
+    // stack
+    const rest = params.filter((param) => param !== undefined);
+    const loneStack =
+      withStack && rest.length === 1 && _isStack(rest[0]) ? rest.pop() : null;
+    const context =
+      rest.length && typeof rest[rest.length - 1] === "string"
+        ? rest.pop()
+        : undefined;
+    const stack =
+      loneStack || (withStack && _isStack(rest[0]) ? rest.shift() : undefined);
+
+    const fields = {
+      ...meta,
+      namespace: context ? `${this.namespace}:${context}` : this.namespace,
+    };
+    if (rest.length) {
+      fields.params = rest;
+    }
+
+    if (message instanceof Error) {
+      this.logger.log(level, message.message, { ...fields, error: message });
+      return;
+    }
+    if (stack) {
+      fields.stack = stack;
+    }
+    this.logger.log(
+      level,
+      typeof message === "string"
+        ? message
+        : util.inspect(message, { depth: 5, breakLength: Infinity }),
+      fields
+    );
+  }
+}
+
+/**
+ * @private
+ */
+function _isStack(value) {
+  return typeof value === "string" && /\n\s+at /.test(value);
+}
+
+module.exports = {
+  createFastifyPlugin,
+  createKoaMiddleware,
+  createHttpWrapper,
+  NestLogger,
+};
@@ -0,0 +1,452 @@
+const http = require("http");
+const https = require("https");
+const Transport = require("winston-transport");
+const winston = require("winston");
+const { parseDuration } = require("./utils");
+const { untracked } = require("./outboundHttp");
+
+const LEVEL = Symbol.for("level");
+// entries about alert delivery itself never raise alerts
+const ALERT_ENTRY = Symbol("lognexus.alertEntry");
+
+/**
+ * Rules used when none are configured: every uncaught exception, and bursts
+ * of 10 errors within a minute
+ */
+const DEFAULT_RULES = [
+  { name: "fatal", fatal: true },
+  { name: "error-burst", level: "error", threshold: 10, window: "1m" },
+];
+
+/**
+ * Payload templates. Each receives the batch of alerts and { source } and
+ * returns the JSON body posted to the webhook.
+ */
+const TEMPLATES = {
+  json: (alerts, context) => ({
+    source: context.source,
+    count: alerts.length,
+    alerts,
+  }),
+
+  // Slack incoming webhooks
+  slack: (alerts, context) => ({
+    text: [
+      `*${_title(alerts, context)}*`,
+      ...alerts.map((alert) => `• ${_summary(alert)}`),
+    ].join("\n"),
+  }),
+
+  // Teams workflows ("When a Teams webhook request is received")
+  teams: (alerts, context) => ({
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body: [
+            {
+              type: "TextBlock",
+              text: _title(alerts, context),
+              weight: "Bolder",
+              size: "Medium",
+              color: "Attention",
+              wrap: true,
+            },
+            ...alerts.map((alert) => ({
+              type: "TextBlock",
+              text: `- ${_summary(alert)}`,
+              wrap: true,
+            })),
+          ],
+        },
+      },
+    ],
+  }),
+};
+
+/**
+ * Winston transport posting alerts to a webhook when log entries match its
+ * rules. A rule fires when `threshold` matching entries are logged within
+ * `window`, then stays quiet for `throttle` (entries matched meanwhile are
+ * counted in the next alert's `suppressed`). Alerts are batched for
+ * `batchWindow`, and identical alerts within a batch are merged with a
+ * `count`; fatal alerts are sent at once.
+ *
+ * Emits:
+ * - 'alert' (alert) when a rule fires
+ * - 'sent' ({ alerts }) after a batch has been posted
+ * - 'failed' ({ alerts, error }) when a batch could not be posted (it is not retried)
+ */
+class AlertTransport extends Transport {
+  /**
+   * @param {Object} options - Transport options (plus the usual level/format/silent)
+   * @param {String} options.url - Webhook URL
+   * @param {String|Function} options.template - 'json', 'slack', 'teams' or a function (alerts, context) returning the body
+   * @param {Object} options.headers - Extra request headers (e.g. authorization)
+   * @param {Array} options.rules - Alert rules (default: DEFAULT_RULES)
+   * @param {String} options.rules[].name - Rule name (default: 'rule-<n>')
+   * @param {String} options.rules[].level - Entries at this level or more severe match
+   * @param {RegExp|String} options.rules[].pattern - Entries whose message (or error message) matches
+   * @param {Boolean} options.rules[].fatal - Entries logged for uncaught exceptions match
+   * @param {Function} options.rules[].match - Custom matcher (info)
+   * @param {Number} options.rules[].threshold - Matching entries needed within the window (default: 1)
+   * @param {String|Number} options.rules[].window - Window of the threshold (default: '1m')
+   * @param {String|Number} options.rules[].throttle - Quiet period after the rule fired (default: options.throttle)
+   * @param {Boolean} options.rules[].immediate - Whether to send without waiting for the batch (default: fatal)
+   * @param {String|Number} options.throttle - Default quiet period of every rule (default: '5m')
+   * @param {String|Number} options.batchWindow - How long alerts are collected before posting (default: '10s')
+   * @param {Number} options.timeout - Request timeout in milliseconds (default: 5000)
+   * @param {String} options.source - Name of the application in the alerts
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.url) {
+      throw new Error("An alert transport requires a webhook url.");
+    }
+
+    this.name = options.name || "alerts";
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.template =
+      typeof options.template === "function"
+        ? options.template
+        : TEMPLATES[options.template || "json"];
+    if (!this.template) {
+      throw new Error(`Unknown alert template "${options.template}".`);
+    }
+    this.throttle = parseDuration(options.throttle, 5 * 60 * 1000);
+    this.batchWindow = parseDuration(options.batchWindow, 10 * 1000);
+    this.timeout = options.timeout || 5000;
+    this.source = options.source || process.env.APP_TYPE || "application";
+    this.rules = _parseRules(options.rules || DEFAULT_RULES, this.throttle);
+
+    this._queue = [];
+    this._timer = null;
+    this._sending = new Set();
+    this._stats = { alerts: 0, sent: 0, failed: 0, suppressed: 0 };
+  }
+
+  log(info, callback) {
+    setImmediate(() => this.emit("logged", info));
+
+    if (!info[ALERT_ENTRY]) {
+      const now = Date.now();
+      // a deduplicated entry stands for all of its repeats
+      const weight = info.repeated || 1;
+      for (const rule of this.rules) {
+        if (this._matches(rule, info)) {
+          this._record(rule, info, weight, now);
+        }
+      }
+    }
+    callback();
+  }
+
+  /**
+   * Posts the queued alerts and waits for every pending request
+   * @returns {Promise} - Resolves once all requests have completed
+   */
+  flush() {
+    this._sendQueue();
+    return Promise.all([...this._sending]).then(() => {});
+  }
+
+  /**
+   * Returns alert counters
+   * @returns {Object} - { alerts, sent, failed, suppressed, queued }
+   */
+  getStats() {
+    return { ...this._stats, queued: this._queue.length };
+  }
+
+  close() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  _final(callback) {
+    this.flush().then(() => {
+      this.close();
+      callback();
+    });
+  }
+
+  /**
+   * @private
+   */
+  _matches(rule, info) {
+    if (rule.fatal && !info.fatal) {
+      return false;
+    }
+    if (rule.level) {
+      const levels = this.levels || winston.config.npm.levels;
+      const level = info[LEVEL] || info.level;
+      if (!(levels[level] <= levels[rule.level])) {
+        return false;
+      }
+    }
+    if (
+      rule.pattern &&
+      !rule.pattern.test(String(info.message)) &&
+      !(info.error && rule.pattern.test(String(info.error.message)))
+    ) {
+      return false;
+    }
+    return !rule.match || Boolean(rule.match(info));
+  }
+
+  /**
+   * Counts a matching entry and fires the rule once its threshold is reached
+   * @private
+   */
+  _record(rule, info, weight, now) {
+    if (now < rule.state.quietUntil) {
+      rule.state.suppressed += weight;
+      this._stats.suppressed += weight;
+      return;
+    }
+
+    const hits = rule.state.hits.filter((hit) => now - hit.time < rule.window);
+    hits.push({ time: now, weight });
+    const count = hits.reduce((sum, hit) => sum + hit.weight, 0);
+    if (count < rule.threshold) {
+      rule.state.hits = hits;
+      return;
+    }
+
+    rule.state.hits = [];
+    rule.state.quietUntil = now + rule.throttle;
+    const suppressed = rule.state.suppressed;
+    rule.state.suppressed = 0;
+
+    this._queueAlert(
+      {
+        rule: rule.name,
+        level: info[LEVEL] || info.level,
+        message:
+          rule.threshold > 1
+            ? `${count} matching entries within ${_duration(rule.window)}`
+            : String(info.message),
+        count: 1,
+        suppressed,
+        firstAt: new Date(now).toISOString(),
+        lastAt: new Date(now).toISOString(),
+        entry: _summarizeEntry(info),
+      },
+      rule.immediate
+    );
+  }
+
+  /**
+   * @private
+   */
+  _queueAlert(alert, immediate) {
+    this._stats.alerts++;
+    this.emit("alert", alert);
+
+    const same = this._queue.find(
+      (queued) => queued.rule === alert.rule && queued.message === alert.message
+    );
+    if (same) {
+      same.count++;
+      same.suppressed += alert.suppressed;
+      same.lastAt = alert.lastAt;
+      same.entry = alert.entry;
+    } else {
+      this._queue.push(alert);
+    }
+
+    if (immediate || !this.batchWindow) {
+      this._sendQueue();
+    } else if (!this._timer) {
+      this._timer = setTimeout(() => this._sendQueue(), this.batchWindow);
+      this._timer.unref();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _sendQueue() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (!this._queue.length) {
+      return;
+    }
+
+    const alerts = this._queue;
+    this._queue = [];
+
+    const sending = Promise.resolve()
+      .then(() => this.template(alerts, { source: this.source }))
+      .then((body) =>
+        _post(this.url, body, { headers: this.headers, timeout: this.timeout })
+      )
+      .then(
+        () => {
+          this._stats.sent += alerts.length;
+          this.emit("sent", { alerts });
+        },
+        (error) => {
+          this._stats.failed += alerts.length;
+          this.emit("failed", { alerts, error });
+        }
+      )
+      .finally(() => this._sending.delete(sending));
+    this._sending.add(sending);
+  }
+}
+
+/**
+ * Normalizes alert rules
+ * @private
+ */
+function _parseRules(rules, throttle) {
+  return rules.map((rule, index) => {
+    if (!rule.level && !rule.pattern && !rule.fatal && !rule.match) {
+      throw new Error(
+        `Alert rule "${
+          rule.name || index
+        }" needs a level, pattern, fatal or match.`
+      );
+    }
+
+    return {
+      name: rule.name || `rule-${index + 1}`,
+      level: rule.level,
+      pattern:
+        typeof rule.pattern === "string"
+          ? new RegExp(rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+          : rule.pattern,
+      fatal: Boolean(rule.fatal),
+      match: rule.match,
+      threshold: rule.threshold || 1,
+      window: parseDuration(rule.window, 60 * 1000),
+      throttle: parseDuration(rule.throttle, throttle),
+      immediate:
+        rule.immediate === undefined ? Boolean(rule.fatal) : rule.immediate,
+      state: { hits: [], quietUntil: 0, suppressed: 0 },
+    };
+  });
+}
+
+/**
+ * Keeps the fields of an entry that help triage an alert
+ * @private
+ */
+function _summarizeEntry(info) {
+  const entry = {};
+  for (const key of [
+    "level",
+    "message",
+    "namespace",
+    "category",
+    "requestId",
+    "timestamp",
+  ]) {
+    if (info[key] !== undefined) {
+      entry[key] = info[key];
+    }
+  }
+  if (info.error && typeof info.error === "object") {
+    entry.error = {
+      name: info.error.name,
+      message: info.error.message,
+      ...(info.error.code !== undefined ? { code: info.error.code } : {}),
+    };
+  }
+  return entry;
+}
+
+/**
+ * Posts a JSON body. The post is not logged as outbound traffic.
+ * @private
+ */
+function _post(url, body, options) {
+  return untracked(
+    () =>
+      new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const payload = JSON.stringify(body);
+        const client = target.protocol === "https:" ? https : http;
+
+        const req = client.request(
+          target,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              "Content-Length": Buffer.byteLength(payload),
+              ...options.headers,
+            },
+            timeout: options.timeout,
+          },
+          (res) => {
+            res.resume();
+            res.on("end", () => {
+              if (res.statusCode >= 200 && res.statusCode < 300) {
+                resolve();
+              } else {
+                reject(new Error(`Webhook responded with ${res.statusCode}`));
+              }
+            });
+          }
+        );
+        req.on("timeout", () =>
+          req.destroy(
+            new Error(`Webhook timed out after ${options.timeout} ms`)
+          )
+        );
+        req.on("error", reject);
+        req.end(payload);
+      })
+  );
+}
+
+/**
+ * @private
+ */
+function _title(alerts, context) {
+  return `${alerts.length} alert${alerts.length === 1 ? "" : "s"} from ${
+    context.source
+  }`;
+}
+
+/**
+ * @private
+ */
+function _summary(alert) {
+  const extra = [
+    alert.count > 1 ? `${alert.count} times` : null,
+    alert.suppressed ? `${alert.suppressed} more while throttled` : null,
+  ].filter(Boolean);
+  const message =
+    alert.message.length > 500
+      ? `${alert.message.slice(0, 500)}…`
+      : alert.message;
+  return `[${alert.rule}] ${message}${
+    extra.length ? ` (${extra.join(", ")})` : ""
+  }`;
+}
+
+/**
+ * @private
+ */
+function _duration(ms) {
+  if (ms % (60 * 1000) === 0) {
+    return `${ms / (60 * 1000)}m`;
+  }
+  return ms % 1000 === 0 ? `${ms / 1000}s` : `${ms}ms`;
+}
+
+module.exports = {
+  ALERT_ENTRY,
+  DEFAULT_RULES,
+  TEMPLATES,
+  AlertTransport,
+};
@@ -0,0 +1,226 @@
+/**
+ * Index of the daily archives written by compaction. A folder holding daily
+ * archives also holds a `lognexus-index.json` object recording, for every
+ * archive, the time range it covers and the files merged into it:
+ *
+ * { "version": 2, "files": { "daily-2026-10-18.log.gz": { start, end, sources } } }
+ *
+ * where every source is { name, size, etag, lastModified }. Names are
+ * relative to the folder. The read path uses the index to place archives on
+ * the timeline and to leave out files that are already part of an archive
+ * (left behind when a compaction was interrupted). A file only counts as
+ * merged when it is the very object that was merged: once compaction has
+ * deleted a source, a new file may reuse its name.
+ */
+
+const { resolveNameFormat, fileWindow } = require("./nameFormat");
+const { toTime } = require("./utils");
+
+const INDEX_NAME = "lognexus-index.json";
+const INDEX_VERSION = 2;
+const CONTENT_TYPE_JSON = "application/json";
+const ARCHIVE_NAME = /^daily-(\d{4})-(\d{2})-(\d{2})\.log(?:\.gz)?$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the name of the daily archive of a day
+ * @param {Number} time - Any time of the day (UTC)
+ * @returns {String} - Archive name ('daily-2026-10-18.log.gz')
+ */
+function archiveName(time) {
+  return `daily-${new Date(time).toISOString().slice(0, 10)}.log.gz`;
+}
+
+/**
+ * Lists the log files under a prefix with the time window each one covers:
+ * the indexed range of daily archives, otherwise the window inferred from the
+ * name format. Index objects and files already merged into an archive are
+ * left out.
+ * @param {Object} storage - Storage backend
+ * @param {String} prefix - Folder prefix
+ * @param {Object} options - { nameFormat, rotateEvery }
+ * @returns {Promise<Array>} - { key, size, lastModified, window, archive } in listing order; `window` is null when unknown
+ */
+async function listLogFiles(storage, prefix, options = {}) {
+  return (await scanArchive(storage, prefix, options)).files;
+}
+
+/**
+ * Lists the objects under a prefix and reads the indexes among them
+ * @param {Object} storage - Storage backend
+ * @param {String} prefix - Folder prefix
+ * @param {Object} options - { nameFormat, rotateEvery }
+ * @returns {Promise<Object>} - { files, superseded, indexes }: log files, files merged into an archive, and indexes by folder
+ */
+async function scanArchive(storage, prefix, options = {}) {
+  const nameFormat = resolveNameFormat(options.nameFormat);
+  const objects = await storage.list(prefix);
+
+  const indexes = new Map();
+  for (const object of objects) {
+    if (_nameOf(object.key) === INDEX_NAME) {
+      indexes.set(_folderOf(object.key), await readIndex(storage, object.key));
+    }
+  }
+
+  // sources only disappear from the listing once their archive exists
+  const keys = new Set(objects.map((object) => object.key));
+  const merged = new Map();
+  for (const [folder, index] of indexes) {
+    for (const [name, entry] of Object.entries(index.files)) {
+      if (keys.has(folder + name)) {
+        for (const source of entry.sources || []) {
+          const key = folder + (source.name || source);
+          merged.set(key, [...(merged.get(key) || []), source]);
+        }
+      }
+    }
+  }
+
+  const files = [];
+  const superseded = [];
+  for (const object of objects) {
+    const name = _nameOf(object.key);
+    if (name === INDEX_NAME) {
+      continue;
+    }
+
+    const index = indexes.get(_folderOf(object.key));
+    const indexed = index && index.files[name];
+    const file = {
+      key: object.key,
+      size: object.size,
+      lastModified: object.lastModified,
+      etag: object.etag,
+      window: indexed
+        ? { start: toTime(indexed.start), end: toTime(indexed.end) }
+        : _archiveWindow(name) ||
+          fileWindow(nameFormat, object.key, options.rotateEvery),
+      archive: Boolean(indexed) || ARCHIVE_NAME.test(name),
+    };
+    const sources = merged.get(object.key) || [];
+    const isMerged = sources.some((source) => _isSource(source, object));
+    (isMerged ? superseded : files).push(file);
+  }
+
+  return { files, superseded, indexes };
+}
+
+/**
+ * Describes a file merged into an archive for its index entry
+ * @param {Object} file - Listed file ({ key, size, lastModified, etag })
+ * @returns {Object} - { name, size, etag, lastModified }
+ */
+function sourceEntry(file) {
+  return {
+    name: _nameOf(file.key),
+    size: file.size,
+    etag: file.etag,
+    lastModified: file.lastModified
+      ? new Date(file.lastModified).toISOString()
+      : undefined,
+  };
+}
+
+/**
+ * Reads an index object
+ * @param {Object} storage - Storage backend
+ * @param {String} key - Index key
+ * @returns {Promise<Object>} - { version, files }
+ * @throws Will throw an error if the index is not valid JSON
+ */
+async function readIndex(storage, key) {
+  const chunks = [];
+  for await (const chunk of await storage.get(key)) {
+    chunks.push(Buffer.from(chunk));
+  }
+
+  try {
+    const index = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    return { version: INDEX_VERSION, ...index, files: index.files || {} };
+  } catch (err) {
+    throw new Error(`Invalid archive index "${key}": ${err.message}`);
+  }
+}
+
+/**
+ * Writes the index of a folder, or deletes it once it lists no archives
+ * @param {Object} storage - Storage backend
+ * @param {String} folder - Folder (ending with '/', or empty)
+ * @param {Object} index - { files }
+ * @param {Object} putOptions - Upload options ({ sse })
+ * @returns {Promise}
+ */
+async function writeIndex(storage, folder, index, putOptions = {}) {
+  const key = folder + INDEX_NAME;
+  if (!Object.keys(index.files).length) {
+    await storage.delete(key);
+    return;
+  }
+
+  const body = JSON.stringify(
+    { version: INDEX_VERSION, files: index.files },
+    null,
+    2
+  );
+  await storage.put(key, Buffer.from(body + "\n"), {
+    ...putOptions,
+    contentType: CONTENT_TYPE_JSON,
+  });
+}
+
+/**
+ * Whether a listed object is the file a source entry describes. Entries of
+ * version 1 indexes only hold the name, which a later file may have reused,
+ * so they never match: at worst, a file is merged twice.
+ * @private
+ */
+function _isSource(source, object) {
+  if (!source || typeof source !== "object") {
+    return false;
+  }
+  return (
+    source.size === object.size &&
+    (!source.etag || source.etag === object.etag) &&
+    toTime(source.lastModified) === toTime(object.lastModified)
+  );
+}
+
+/**
+ * Infers the window of a daily archive missing from its index
+ * @private
+ */
+function _archiveWindow(name) {
+  const match = ARCHIVE_NAME.exec(name);
+  if (!match) {
+    return null;
+  }
+  const start = Date.UTC(+match[1], +match[2] - 1, +match[3]);
+  return { start, end: start + DAY };
+}
+
+/**
+ * @private
+ */
+function _folderOf(key) {
+  return key.slice(0, key.lastIndexOf("/") + 1);
+}
+
+/**
+ * @private
+ */
+function _nameOf(key) {
+  return key.slice(key.lastIndexOf("/") + 1);
+}
+
+module.exports = {
+  INDEX_NAME,
+  archiveName,
+  sourceEntry,
+  listLogFiles,
+  scanArchive,
+  readIndex,
+  writeIndex,
+  _folderOf,
+  _nameOf,
+};
@@ -0,0 +1,578 @@
+const fs = require("fs");
+const readline = require("readline");
+const downloadS3Logs = require("./downloadLogFiles");
+const queryLogs = require("./queryLogs");
+const { listLogFiles } = require("./archiveIndex");
+const { pruneLogs, compactLogs } = require("./retention");
+const { resolveAwsConfig } = require("./s3Client");
+const { resolveStorage } = require("./storage");
+const { toTime } = require("./utils");
+
+const USAGE = `Usage: lognexus <command> [options]
+
+Commands:
+  ls [prefix]                 List archived log files with their time window
+  download [prefix] <dir>     Download and decompress log files into <dir>
+  search [prefix]             Search archived entries (use the filters below)
+  cat [prefix]                Print archived entries, merged and sorted by time
+                              (the filters below apply too)
+  tail [file]                 Follow a local log file (or stdin) and print entries
+  prune [prefix]              Delete files older than the retention period
+  compact [prefix]            Merge each past day's small files into a daily archive
+
+Filters:
+  --from <date>               Only entries/files at or after this time
+  --to <date>                 Only entries/files at or before this time
+  --level <level>             Minimum level (e.g. warn); comma-separate for an exact list
+  --match <text>              Text searched in the raw line (case-insensitive)
+  --field <key=value>         Field value to match (repeatable)
+  --fields <a,b,c>            Only print these fields
+  --limit <n>                 Stop after n entries
+
+Options:
+  --json                      Print raw JSON lines (default when not a TTY)
+  --pretty                    Print human-readable lines
+  --service <name>            Use the logs/<name>/ prefix of another service
+  --bucket <name>             S3 bucket (AWS_S3_BUCKET_NAME)
+  --region <region>           AWS region (AWS_REGION, default: us-east-1)
+  --endpoint <url>            S3-compatible endpoint (AWS_S3_ENDPOINT)
+  --storage-dir <dir>         Read a local archive instead of S3 (LOG_STORAGE_DIR)
+  --name-format <format>      Log file name format (S3_LOG_NAME_FORMAT)
+  --rotate-every <period>     Log rotation period (S3_LOG_ROTATE_EVERY)
+  --concurrency <n>           Parallel downloads (download only)
+  --merge <file>              Merge downloaded files into one file (download only)
+  --no-follow                 Print the file and exit (tail only)
+  --older-than <period>       Retention period, e.g. 30d (prune only, LOG_RETENTION)
+  --rule <prefix=period>      Retention period of a prefix (prune only, repeatable,
+                              LOG_RETENTION_RULES)
+  --before <date>             Only compact days ending before this time (compact only)
+  --max-file-size <bytes>     Leave larger files as they are (compact only)
+  --dry-run                   Only print what prune or compact would do
+  -h, --help                  Show this help
+
+The prefix defaults to S3_LOG_FOLDER or logs/<APP_TYPE>/.
+AWS settings are read from the same environment variables as init().
+Encrypted files are decrypted with the keys in LOG_ENCRYPTION_KEY and
+LOG_ENCRYPTION_KEYS; compact encrypts its archives with LOG_ENCRYPTION_KEY.
+With a key, plain files are rejected unless LOG_ENCRYPTION_REQUIRED=false.
+`;
+
+const LEVEL_COLORS = {
+  error: "\u001b[31m",
+  warn: "\u001b[33m",
+  info: "\u001b[32m",
+  http: "\u001b[36m",
+  debug: "\u001b[34m",
+};
+
+/**
+ * Runs the command-line tool
+ * @param {Array} argv - Command-line arguments (without node and the script path)
+ * @param {Object} io - Streams to use ({ stdin, stdout, stderr })
+ * @returns {Promise<Number>} - Exit code
+ */
+async function run(argv, io = process) {
+  const { command, positional, flags } = parseArgs(argv);
+
+  if (!command || flags.help) {
+    io.stdout.write(USAGE);
+    return command || flags.help ? 0 : 1;
+  }
+
+  const output = createPrinter(io.stdout, flags);
+  // same default region as init()
+  const awsConfig = resolveAwsConfig({
+    bucketName: flags.bucket,
+    region: flags.region || process.env.AWS_REGION || "us-east-1",
+    endpoint: flags.endpoint,
+    forcePathStyle: flags.endpoint ? true : undefined,
+  });
+  const appType = process.env.APP_TYPE || "development";
+  const defaultPrefix = flags.service
+    ? `logs/${flags.service}/`
+    : process.env.S3_LOG_FOLDER || `logs/${appType}/`;
+
+  // the archive is only needed (and its settings only checked) when read
+  const storage = () =>
+    resolveStorage({
+      awsConfig,
+      storage: flags.storageDir
+        ? { type: "local", dir: flags.storageDir }
+        : undefined,
+    });
+
+  try {
+    switch (command) {
+      case "ls":
+        await listFiles(positional[0] || defaultPrefix, flags, storage(), io);
+        break;
+      case "download":
+        await download(positional, defaultPrefix, flags, storage(), io);
+        break;
+      case "search":
+      case "cat":
+        await search(positional[0] || defaultPrefix, flags, storage(), output);
+        break;
+      case "tail":
+        await tail(positional[0], flags, io, output);
+        break;
+      case "prune":
+        await prune(positional[0] || defaultPrefix, flags, storage(), io);
+        break;
+      case "compact":
+        await compact(positional[0] || defaultPrefix, flags, storage(), io);
+        break;
+      default:
+        io.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+        return 1;
+    }
+  } catch (err) {
+    io.stderr.write(`lognexus: ${err.message}\n`);
+    return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Parses command-line arguments into a command, positional arguments and flags
+ * @param {Array} argv - Command-line arguments
+ * @returns {Object} - { command, positional, flags }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = { field: [], rule: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "-h" || arg === "--help") {
+      flags.help = true;
+    } else if (arg.startsWith("--no-")) {
+      flags[_camelCase(arg.slice(5))] = false;
+    } else if (arg.startsWith("--")) {
+      const [name, inline] = arg.slice(2).split(/=(.*)/s);
+      const key = _camelCase(name);
+      const isSwitch = ["json", "pretty", "help", "dryRun"].includes(key);
+      const value = isSwitch ? true : inline !== undefined ? inline : argv[++i];
+
+      if (value === undefined) {
+        throw new Error(`Missing value for --${name}`);
+      }
+
+      if (key === "field" || key === "rule") {
+        flags[key].push(value);
+      } else {
+        flags[key] = value;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional.shift(), positional, flags };
+}
+
+/**
+ * @private
+ */
+async function listFiles(prefix, flags, storage, io) {
+  const from = toTime(flags.from);
+  const to = toTime(flags.to);
+
+  const objects = await listLogFiles(storage, prefix, flags);
+  for (const object of objects) {
+    const { window } = object;
+    if (
+      window &&
+      ((to !== null && window.start > to) ||
+        (from !== null && window.end <= from))
+    ) {
+      continue;
+    }
+
+    if (_isJson(io.stdout, flags)) {
+      io.stdout.write(
+        JSON.stringify({
+          key: object.key,
+          size: object.size,
+          lastModified: object.lastModified,
+          start: window ? new Date(window.start).toISOString() : null,
+        }) + "\n"
+      );
+    } else {
+      const start = window ? new Date(window.start).toISOString() : "-";
+      io.stdout.write(
+        `${start.padEnd(24)} ${_formatSize(object.size).padStart(8)}  ${
+          object.key
+        }\n`
+      );
+    }
+  }
+}
+
+/**
+ * @private
+ */
+async function download(positional, defaultPrefix, flags, storage, io) {
+  const [prefix, dir] =
+    positional.length > 1 ? positional : [defaultPrefix, positional[0]];
+  if (!dir) {
+    throw new Error("A local download directory is required.");
+  }
+
+  const manifest = await downloadS3Logs(prefix, dir, {
+    storage,
+    from: flags.from,
+    to: flags.to,
+    nameFormat: flags.nameFormat,
+    rotateEvery: flags.rotateEvery,
+    concurrency: flags.concurrency ? parseInt(flags.concurrency) : undefined,
+    mergeInto: flags.merge,
+    onProgress: ({ key, status, completed, total, error }) => {
+      io.stderr.write(
+        `[${completed}/${total}] ${status} ${key}${
+          error ? `: ${error.message}` : ""
+        }\n`
+      );
+    },
+  });
+
+  io.stderr.write(
+    `${manifest.downloaded.length} downloaded, ${manifest.skipped.length} skipped, ${manifest.failed.length} failed\n`
+  );
+  if (manifest.failed.length) {
+    throw new Error("Some files could not be downloaded.");
+  }
+}
+
+/**
+ * @private
+ */
+async function search(prefix, flags, storage, output) {
+  for await (const entry of queryLogs({
+    prefix,
+    storage,
+    from: flags.from,
+    to: flags.to,
+    level: _parseLevel(flags.level),
+    match: _buildMatch(flags),
+    fields: _parseList(flags.fields),
+    limit: flags.limit ? parseInt(flags.limit) : undefined,
+    nameFormat: flags.nameFormat,
+    rotateEvery: flags.rotateEvery,
+  })) {
+    output(entry);
+  }
+}
+
+/**
+ * @private
+ */
+async function prune(prefix, flags, storage, io) {
+  const manifest = await pruneLogs({
+    prefix,
+    storage,
+    olderThan: flags.olderThan || process.env.LOG_RETENTION,
+    rules: flags.rule.length
+      ? flags.rule.join(",")
+      : process.env.LOG_RETENTION_RULES,
+    dryRun: flags.dryRun,
+    nameFormat: flags.nameFormat,
+    rotateEvery: flags.rotateEvery,
+  });
+
+  const verb = manifest.dryRun ? "would delete" : "deleted";
+  for (const file of manifest.deleted) {
+    io.stdout.write(`${verb} ${file.key} (ended ${file.end})\n`);
+  }
+  io.stderr.write(
+    `${manifest.deleted.length} ${verb}, ${manifest.kept} kept, ${manifest.skipped.length} with an unknown time\n`
+  );
+}
+
+/**
+ * @private
+ */
+async function compact(prefix, flags, storage, io) {
+  const manifest = await compactLogs({
+    prefix,
+    storage,
+    before: flags.before,
+    maxFileSize: flags.maxFileSize ? parseInt(flags.maxFileSize) : undefined,
+    dryRun: flags.dryRun,
+    nameFormat: flags.nameFormat,
+    rotateEvery: flags.rotateEvery,
+    sse: process.env.S3_LOG_SSE && {
+      type: process.env.S3_LOG_SSE,
+      kmsKeyId: process.env.S3_LOG_SSE_KMS_KEY_ID,
+    },
+  });
+
+  const verb = manifest.dryRun ? "would write" : "wrote";
+  for (const archive of manifest.compacted) {
+    io.stdout.write(
+      `${verb} ${archive.key} (${archive.files} files, ${archive.start} - ${archive.end})\n`
+    );
+  }
+  for (const failure of manifest.failed) {
+    io.stderr.write(`failed ${failure.key}: ${failure.error}\n`);
+  }
+  io.stderr.write(
+    `${manifest.compacted.length} archives, ${manifest.deleted.length} files ${
+      manifest.dryRun ? "to delete" : "deleted"
+    }, ${manifest.failed.length} failed\n`
+  );
+  if (manifest.failed.length) {
+    throw new Error("Some days could not be compacted.");
+  }
+}
+
+/**
+ * Prints the entries of a local log file (or stdin), following new lines
+ * @private
+ */
+async function tail(file, flags, io, output) {
+  const matches = queryLogs.createMatcher({
+    from: flags.from,
+    to: flags.to,
+    level: _parseLevel(flags.level),
+    match: _buildMatch(flags),
+  });
+  const fields = _parseList(flags.fields);
+  const limit = flags.limit ? parseInt(flags.limit) : Infinity;
+  let printed = 0;
+
+  const onLine = (line) => {
+    if (!line.trim() || printed >= limit) {
+      return;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      entry = null;
+    }
+    // text lines, and JSON that is not an entry (e.g. a bare `null`)
+    if (!entry || typeof entry !== "object") {
+      entry = { message: line };
+    }
+
+    if (matches(entry, line)) {
+      printed++;
+      output(_pick(entry, fields));
+    }
+  };
+
+  if (!file || file === "-") {
+    const lines = readline.createInterface({
+      input: io.stdin,
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      onLine(line);
+    }
+    return;
+  }
+
+  await _followFile(file, flags.follow !== false, onLine);
+}
+
+/**
+ * Reads a file line by line and keeps reading appended lines until SIGINT
+ * @private
+ */
+function _followFile(file, follow, onLine) {
+  return new Promise((resolve, reject) => {
+    let position = 0;
+    let remainder = "";
+    let reading = false;
+
+    const read = () => {
+      if (reading) {
+        return;
+      }
+      reading = true;
+
+      fs.stat(file, (err, stats) => {
+        if (err) {
+          reading = false;
+          return reject(err);
+        }
+
+        // the file was truncated or rotated; start over
+        if (stats.size < position) {
+          position = 0;
+          remainder = "";
+        }
+
+        const input = fs.createReadStream(file, { start: position });
+        input.on("data", (chunk) => {
+          position += chunk.length;
+          const lines = (remainder + chunk.toString("utf8")).split("\n");
+          remainder = lines.pop();
+          lines.forEach(onLine);
+        });
+        input.on("error", reject);
+        input.on("end", () => {
+          reading = false;
+          if (!follow) {
+            if (remainder) {
+              onLine(remainder);
+            }
+            resolve();
+          }
+        });
+      });
+    };
+
+    read();
+
+    if (follow) {
+      fs.watchFile(file, { interval: 500 }, read);
+      process.once("SIGINT", () => {
+        fs.unwatchFile(file, read);
+        resolve();
+      });
+    }
+  });
+}
+
+/**
+ * Creates the function printing one entry as JSON or human-readable text
+ * @private
+ */
+function createPrinter(stdout, flags) {
+  if (_isJson(stdout, flags)) {
+    return (entry) => stdout.write(JSON.stringify(entry) + "\n");
+  }
+
+  const colors = Boolean(stdout.isTTY);
+  return (entry) => {
+    const { timestamp, level, message, ...meta } = entry;
+    const label = String(level || "")
+      .toUpperCase()
+      .padEnd(5);
+    const coloredLabel =
+      colors && LEVEL_COLORS[level]
+        ? `${LEVEL_COLORS[level]}${label}\u001b[0m`
+        : label;
+    const text =
+      typeof message === "string" ? message : JSON.stringify(message);
+    const extra = Object.keys(meta).length ? ` ${JSON.stringify(meta)}` : "";
+    stdout.write(
+      `${timestamp || ""} ${coloredLabel} ${text === undefined ? "" : text}${extra}\n`
+    );
+  };
+}
+
+/**
+ * @private
+ */
+function _isJson(stdout, flags) {
+  if (flags.json) {
+    return true;
+  }
+  return flags.pretty ? false : !stdout.isTTY;
+}
+
+/**
+ * @private
+ */
+function _buildMatch(flags) {
+  const fieldMatches = (flags.field || []).reduce((fields, pair) => {
+    const [key, value] = pair.split(/=(.*)/s);
+    fields[key] = _coerce(value);
+    return fields;
+  }, {});
+  const text = flags.match ? String(flags.match).toLowerCase() : null;
+
+  if (!text && !Object.keys(fieldMatches).length) {
+    return undefined;
+  }
+
+  const matchFields = Object.keys(fieldMatches).length
+    ? queryLogs.createMatcher({ match: fieldMatches })
+    : null;
+
+  return (entry) =>
+    (!matchFields || matchFields(entry)) &&
+    (!text || JSON.stringify(entry).toLowerCase().includes(text));
+}
+
+/**
+ * @private
+ */
+function _parseLevel(level) {
+  if (!level) {
+    return undefined;
+  }
+  const levels = _parseList(level);
+  return levels.length > 1 ? levels : levels[0];
+}
+
+/**
+ * @private
+ */
+function _parseList(value) {
+  return value
+    ? String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : undefined;
+}
+
+/**
+ * @private
+ */
+function _coerce(value) {
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+  if (value !== "" && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function _pick(entry, fields) {
+  if (!fields) {
+    return entry;
+  }
+  return fields.reduce((picked, field) => {
+    if (entry[field] !== undefined) {
+      picked[field] = entry[field];
+    }
+    return picked;
+  }, {});
+}
+
+/**
+ * @private
+ */
+function _formatSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)}M`;
+  }
+  if (bytes >= 1024) {
+    return `${(bytes / 1024).toFixed(1)}K`;
+  }
+  return `${bytes}B`;
+}
+
+/**
+ * @private
+ */
+function _camelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+module.exports = {
+  run,
+  parseArgs,
+};
@@ -0,0 +1,249 @@
+const path = require("path");
+const util = require("util");
+const { Writable } = require("stream");
+const { Console } = require("console");
+const routes = require("./routes");
+
+// marks the console while an override is installed, so that a second
+// override replaces the first instead of wrapping it
+const CONSOLE_OVERRIDE = Symbol.for("lognexus.consoleOverride");
+
+/**
+ * Level of the entries logged by each console method
+ */
+const METHOD_LEVELS = {
+  log: "info",
+  info: "info",
+  warn: "warn",
+  error: "error",
+  debug: "debug",
+  trace: "debug",
+  table: "info",
+  dir: "info",
+  time: null,
+  timeLog: "info",
+  timeEnd: "info",
+  assert: "warn",
+};
+
+/**
+ * Redirects the console methods to a logger. Arguments are formatted like
+ * `util.format` and the original method still writes to the terminal.
+ * Entries are logged in the "console" namespace and category; errors among
+ * the arguments are also attached as `error`.
+ * @param {Object} logger - Winston logger instance
+ * @param {Object} options - Override options
+ * @param {Boolean} options.callerLocation - Whether to add the caller's file:line as `caller` (costly; meant for development)
+ * @param {Object} options.redactor - Redactor masking object arguments before they are formatted (see redact.createRedactor)
+ * @returns {Function} - Function restoring the original console methods
+ */
+function overrideConsole(logger, options = {}) {
+  if (console[CONSOLE_OVERRIDE]) {
+    console[CONSOLE_OVERRIDE].restore();
+  }
+
+  // entries from console.* are tagged (and leveled) as the "console"
+  // namespace and routed as the "console" category
+  const consoleLogger = logger.child({
+    namespace: "console",
+    category: routes.CATEGORIES.console,
+  });
+  const render = _createRenderer();
+  const timers = new Map();
+  const originals = {};
+  const overrides = {};
+  let active = true;
+  // set while an entry is logged, so that console calls made by transports
+  // (or by the original methods themselves) are not logged again
+  let logging = false;
+
+  const write = (level, message, args, boundary, meta = {}) => {
+    const error = args.find((arg) => arg instanceof Error);
+    const caller = options.callerLocation
+      ? _callerLocation(boundary)
+      : undefined;
+    consoleLogger.log(level, message, {
+      ...meta,
+      ...(error ? { error } : {}),
+      ...(caller ? { caller } : {}),
+    });
+  };
+
+  // once formatted, keys such as `password` can no longer be told apart
+  // from the rest of the message; errors are serialized and masked later
+  const mask = (args) =>
+    options.redactor
+      ? args.map((arg) =>
+          arg && typeof arg === "object" && !(arg instanceof Error)
+            ? options.redactor.redact(arg)
+            : arg
+        )
+      : args;
+
+  const elapsed = (label) =>
+    Number(process.hrtime.bigint() - timers.get(label)) / 1e6;
+
+  const handlers = {
+    // the trace is printed here, as the original method would include the
+    // override in the stack; returning true skips the original
+    trace: (args, boundary) => {
+      const trace = { name: "Trace", message: util.format(...args) };
+      Error.captureStackTrace(trace, boundary);
+      write("debug", `Trace: ${trace.message}`, args, boundary, {
+        stack: trace.stack,
+      });
+      originals.error.call(console, trace.stack);
+      return true;
+    },
+    table: (args, boundary) =>
+      write("info", render("table", args), args, boundary),
+    dir: (args, boundary) => write("info", render("dir", args), args, boundary),
+    time: (args) => {
+      const label = args[0] === undefined ? "default" : String(args[0]);
+      if (!timers.has(label)) {
+        timers.set(label, process.hrtime.bigint());
+      }
+    },
+    timeLog: (args, boundary) => {
+      const label = args[0] === undefined ? "default" : String(args[0]);
+      if (timers.has(label)) {
+        const duration = elapsed(label);
+        const data = args.length > 1 ? ` ${util.format(...args.slice(1))}` : "";
+        write(
+          "info",
+          `${label}: ${duration.toFixed(3)}ms${data}`,
+          args,
+          boundary,
+          { label, duration }
+        );
+      }
+    },
+    timeEnd: (args, boundary) => {
+      const label = args[0] === undefined ? "default" : String(args[0]);
+      if (timers.has(label)) {
+        const duration = elapsed(label);
+        timers.delete(label);
+        write("info", `${label}: ${duration.toFixed(3)}ms`, args, boundary, {
+          label,
+          duration,
+        });
+      }
+    },
+    assert: ([condition, ...args], boundary) => {
+      if (!condition) {
+        const message = args.length
+          ? `Assertion failed: ${util.format(...args)}`
+          : "Assertion failed";
+        write("warn", message, args, boundary);
+      }
+    },
+  };
+
+  for (const [method, level] of Object.entries(METHOD_LEVELS)) {
+    const original = console[method];
+    if (typeof original !== "function") {
+      continue;
+    }
+    const handler =
+      handlers[method] ||
+      ((args, boundary) => write(level, util.format(...args), args, boundary));
+
+    originals[method] = original;
+    overrides[method] = function (...args) {
+      if (!active || logging) {
+        return original.apply(this, args);
+      }
+
+      logging = true;
+      try {
+        if (
+          logger.writable &&
+          handler(mask(args), overrides[method]) === true
+        ) {
+          return undefined;
+        }
+        return original.apply(this, args);
+      } finally {
+        logging = false;
+      }
+    };
+    console[method] = overrides[method];
+  }
+
+  /**
+   * Restores the console methods that still point to this override
+   */
+  function restore() {
+    if (!active) {
+      return;
+    }
+    active = false;
+    timers.clear();
+
+    for (const method of Object.keys(overrides)) {
+      if (console[method] === overrides[method]) {
+        console[method] = originals[method];
+      }
+    }
+    if (
+      console[CONSOLE_OVERRIDE] &&
+      console[CONSOLE_OVERRIDE].restore === restore
+    ) {
+      delete console[CONSOLE_OVERRIDE];
+    }
+  }
+
+  console[CONSOLE_OVERRIDE] = { restore };
+  return restore;
+}
+
+/**
+ * Returns a function rendering console.table and console.dir output to a
+ * string, the way they would appear in a terminal without colors
+ * @private
+ */
+function _createRenderer() {
+  let output = "";
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      output += chunk;
+      callback();
+    },
+  });
+  const renderer = new Console({
+    stdout: stream,
+    stderr: stream,
+    colorMode: false,
+  });
+
+  return (method, args) => {
+    output = "";
+    renderer[method](...args);
+    return output.replace(/\n$/, "");
+  };
+}
+
+/**
+ * Returns the file:line of the code that called a console method, relative
+ * to the working directory
+ * @private
+ */
+function _callerLocation(boundary) {
+  const holder = {};
+  Error.captureStackTrace(holder, boundary);
+  const frame = (holder.stack || "").split("\n")[1] || "";
+  const match = frame.match(/\(?(?:file:\/\/)?([^()\s]+):(\d+):\d+\)?$/);
+  if (!match) {
+    return undefined;
+  }
+
+  const file = path.isAbsolute(match[1])
+    ? path.relative(process.cwd(), match[1])
+    : match[1];
+  return `${file}:${match[2]}`;
+}
+
+module.exports = {
+  METHOD_LEVELS,
+  overrideConsole,
+};
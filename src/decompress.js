@@ -0,0 +1,58 @@
+const { Transform } = require("stream");
+const { Gunzip } = require("fflate");
+
+/**
+ * Checks whether a chunk starts with the gzip magic bytes
+ * @param {Buffer} chunk - First chunk of a file
+ * @returns {Boolean} - Whether the data is gzip-compressed
+ */
+function isGzip(chunk) {
+  return chunk.length >= 2 && chunk[0] === 0x1f && chunk[1] === 0x8b;
+}
+
+/**
+ * Creates a transform stream that decompresses gzip data incrementally with
+ * fflate and passes anything that is not gzip-compressed through unchanged
+ * @returns {Transform} - Decompressing transform stream
+ */
+function createDecompressor() {
+  let gunzip = null;
+  let detected = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (!detected) {
+        detected = true;
+        if (isGzip(chunk)) {
+          gunzip = new Gunzip((data) => this.push(Buffer.from(data)));
+        }
+      }
+
+      try {
+        if (gunzip) {
+          gunzip.push(chunk);
+        } else {
+          this.push(chunk);
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      try {
+        if (gunzip) {
+          gunzip.push(new Uint8Array(0), true);
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+}
+
+module.exports = {
+  isGzip,
+  createDecompressor,
+};
@@ -1,22 +1,37 @@
-const {
-  S3Client,
-  ListObjectsV2Command,
-  GetObjectCommand,
-} = require("@aws-sdk/client-s3");
 const fs = require("fs");
 const path = require("path");
-const { ungzip } = require("fflate"); // Replace zlib with fflate
+const { promisify } = require("util");
+const stream = require("stream");
+const { createDecompressor } = require("./decompress");
+const { resolveKeyProvider, createDecryptor } = require("./encryption");
+const { listLogFiles } = require("./archiveIndex");
+const { resolveStorage } = require("./storage");
+const { toTime } = require("./utils");
+
+const pipeline = promisify(stream.pipeline);
 
 /**
- * Downloads and decompresses log files from an S3 bucket to a local directory using fflate.
+ * Downloads, decrypts and decompresses log files from an S3 bucket (or another storage backend) to a local directory using fflate.
  *
  * @async
  * @function downloadS3Logs
  * @param {string} s3Prefix - The S3 folder prefix (e.g., 'logs/service/').
  * @param {string} localDownloadDir - The local directory where logs will be saved.
- * @throws Will throw an error if AWS credentials, bucket name, or parameters are missing or if the download/decompression fails.
+ * @param {Object} [options] - Download options.
+ * @param {Date|string|number} [options.from] - Only download files covering entries at or after this time.
+ * @param {Date|string|number} [options.to] - Only download files covering entries at or before this time.
+ * @param {string} [options.nameFormat] - Name format used to infer each file's start time (defaults to the configured `nameFormat`).
+ * @param {string|number} [options.rotateEvery] - Rotation period used to infer each file's end time (defaults to the configured `rotateEvery`).
+ * @param {number} [options.concurrency=4] - Maximum number of files downloaded at once.
+ * @param {string} [options.mergeInto] - Path of a single file all downloaded logs are concatenated into, in time order.
+ * @param {Function} [options.onProgress] - Called with `{ key, status, completed, total, bytes, path, error }` after each file.
+ * @param {Object} [options.awsConfig] - AWS settings overriding the configured ones (bucketName, region, credentials, endpoint).
+ * @param {Object} [options.storage] - Storage backend, or backend options such as `{ type: 'local', dir }` (defaults to S3).
+ * @param {Object|boolean} [options.encryption] - Key provider or key options decrypting encrypted files (defaults to the LOG_ENCRYPTION_KEY* env vars).
+ * @returns {Promise<Object>} Manifest with `downloaded`, `skipped` and `failed` keys and the `merged` file path.
+ * @throws Will throw an error if AWS credentials, bucket name, or parameters are missing or if listing the bucket fails.
  */
-const downloadS3Logs = async (s3Prefix, localDownloadDir) => {
+const downloadS3Logs = async (s3Prefix, localDownloadDir, options = {}) => {
   if (!s3Prefix || !localDownloadDir) {
     throw new Error(
       "Both S3 prefix and local download directory are required."
@@ -27,75 +42,193 @@ const downloadS3Logs = async (s3Prefix, localDownloadDir) => {
     fs.mkdirSync(localDownloadDir, { recursive: true });
   }
 
-  const region = global.awsConfig?.region || process.env.AWS_REGION;
-  const accessKeyId =
-    global.awsConfig?.accessKeyId || process.env.AWS_S3_ACCESS_KEY_ID;
-  const secretAccessKey =
-    global.awsConfig?.secretAccessKey || process.env.AWS_S3_SECRET_ACCESS_KEY;
-  const bucket = global.awsConfig?.bucketName || process.env.AWS_S3_BUCKET_NAME;
+  const storage = resolveStorage(options);
+  const keyProvider = resolveKeyProvider(options.encryption);
 
-  if (!region || !accessKeyId || !secretAccessKey || !bucket) {
-    throw new Error("Missing AWS S3 configuration.");
-  }
+  const folder = s3Prefix.slice(0, s3Prefix.lastIndexOf("/") + 1);
+  const from = toTime(options.from);
+  const to = toTime(options.to);
+  const concurrency = Math.max(1, options.concurrency || 4);
+  const onProgress =
+    typeof options.onProgress === "function" ? options.onProgress : () => {};
 
-  const S3 = new S3Client({
-    region,
-    credentials: { accessKeyId, secretAccessKey },
-  });
+  const manifest = { downloaded: [], skipped: [], failed: [], merged: null };
 
-  try {
-    const listCommand = new ListObjectsV2Command({
-      Bucket: bucket,
-      Prefix: s3Prefix,
-    });
-    const data = await S3.send(listCommand);
+  const objects = await listLogFiles(storage, s3Prefix, options);
 
-    if (!data.Contents || data.Contents.length === 0) {
-      throw new Error("No log files found at the specified S3 location.");
-    }
+  if (objects.length === 0) {
+    throw new Error("No log files found at the specified S3 location.");
+  }
 
-    for (const file of data.Contents) {
-      const key = file.Key;
-      const baseName = path.basename(key);
-      const decompressedPath = path.join(
-        localDownloadDir,
-        baseName + ".decompressed"
-      );
+  const files = [];
+  for (const object of objects) {
+    const { window } = object;
 
-      if (fs.existsSync(decompressedPath)) {
-        console.log(`Skipping ${key} (already decompressed)`);
+    if (from !== null || to !== null) {
+      if (!window) {
+        manifest.skipped.push({ key: object.key, reason: "unknown_time" });
         continue;
       }
 
-      console.log(`Downloading and decompressing: ${key}`);
-      try {
-        const getCommand = new GetObjectCommand({ Bucket: bucket, Key: key });
-        const response = await S3.send(getCommand);
-
-        const chunks = [];
-        for await (const chunk of response.Body) {
-          chunks.push(chunk);
-        }
-        const buffer = Buffer.concat(chunks);
-
-        // Decompress using fflate's ungzip
-        const decompressedData = await new Promise((resolve, reject) => {
-          ungzip(buffer, (err, result) => {
-            if (err) reject(err);
-            else resolve(result);
-          });
-        });
-
-        await fs.promises.writeFile(decompressedPath, decompressedData);
-        console.log(`Saved decompressed file: ${decompressedPath}`);
-      } catch (err) {
-        console.warn(`Failed to decompress or download ${key}:`, err.message);
+      if (
+        (to !== null && window.start > to) ||
+        (from !== null && window.end <= from)
+      ) {
+        manifest.skipped.push({ key: object.key, reason: "out_of_range" });
+        continue;
       }
     }
+
+    // files in subfolders (routes) keep them: daily archives and files of
+    // different folders share names
+    const name = object.key.startsWith(folder)
+      ? object.key.slice(folder.length)
+      : path.basename(object.key);
+    const segments = name
+      .split("/")
+      .filter((segment) => segment && segment !== "." && segment !== "..");
+
+    files.push({
+      key: object.key,
+      start: window ? window.start : Infinity,
+      path: path.join(localDownloadDir, ...segments) + ".decompressed",
+    });
+  }
+
+  // oldest first, so merged output and progress follow the timeline
+  files.sort((a, b) => a.start - b.start || a.key.localeCompare(b.key));
+
+  let completed = 0;
+  const report = (file, status, details = {}) => {
+    completed++;
+    onProgress({
+      key: file.key,
+      status,
+      completed,
+      total: files.length,
+      path: file.path,
+      ...details,
+    });
+  };
+
+  await _forEachWithConcurrency(files, concurrency, async (file) => {
+    if (fs.existsSync(file.path)) {
+      file.available = true;
+      manifest.skipped.push({
+        key: file.key,
+        reason: "exists",
+        path: file.path,
+      });
+      report(file, "skipped");
+      return;
+    }
+
+    try {
+      const bytes = await _downloadObject(
+        storage,
+        file.key,
+        file.path,
+        keyProvider
+      );
+      file.available = true;
+      manifest.downloaded.push({ key: file.key, path: file.path, bytes });
+      report(file, "downloaded", { bytes });
+    } catch (err) {
+      manifest.failed.push({ key: file.key, error: err.message });
+      report(file, "failed", { error: err });
+    }
+  });
+
+  if (options.mergeInto) {
+    await _mergeFiles(
+      files.filter((file) => file.available).map((file) => file.path),
+      options.mergeInto
+    );
+    manifest.merged = options.mergeInto;
+  }
+
+  return manifest;
+};
+
+/**
+ * Opens an archived log file, decrypting it when it is encrypted and
+ * decompressing it when it is gzip-compressed
+ * @param {Object} storage - Storage backend
+ * @param {String} key - Object key
+ * @param {Object} keyProvider - Key provider, or null
+ * @returns {Promise<Readable>} - Plain content of the file
+ */
+async function openLogFile(storage, key, keyProvider) {
+  const body = await storage.get(key);
+  return stream.pipeline(
+    body,
+    createDecryptor(keyProvider),
+    createDecompressor(),
+    () => {}
+  );
+}
+
+/**
+ * Streams an object to disk
+ * @private
+ */
+async function _downloadObject(storage, key, destination, keyProvider) {
+  const content = await openLogFile(storage, key, keyProvider);
+
+  // write to a temporary file so a failed download is never mistaken for a
+  // finished one on the next run
+  const partial = `${destination}.part`;
+  try {
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await pipeline(content, fs.createWriteStream(partial));
+    await fs.promises.rename(partial, destination);
   } catch (err) {
-    console.error("Error during log download:", err);
+    await fs.promises.unlink(partial).catch(() => {});
     throw err;
   }
-};
+
+  const { size } = await fs.promises.stat(destination);
+  return size;
+}
+
+/**
+ * Concatenates files into a single output file
+ * @private
+ */
+async function _mergeFiles(files, destination) {
+  const output = fs.createWriteStream(destination);
+  const failed = new Promise((resolve, reject) => output.on("error", reject));
+
+  for (const file of files) {
+    const copied = new Promise((resolve, reject) => {
+      const input = fs.createReadStream(file);
+      input.on("error", reject);
+      input.on("end", resolve);
+      input.pipe(output, { end: false });
+    });
+    await Promise.race([copied, failed]);
+  }
+
+  await Promise.race([new Promise((resolve) => output.end(resolve)), failed]);
+}
+
+/**
+ * Runs an async function over items with at most `limit` running at once
+ * @private
+ */
+async function _forEachWithConcurrency(items, limit, fn) {
+  let index = 0;
+  const workers = Array.from(
+    { length: Math.min(limit, items.length) },
+    async () => {
+      while (index < items.length) {
+        await fn(items[index++]);
+      }
+    }
+  );
+  await Promise.all(workers);
+}
+
+downloadS3Logs.openLogFile = openLogFile;
 
 module.exports = downloadS3Logs;
@@ -0,0 +1,494 @@
+/**
+ * Client-side envelope encryption of archived log files. Every file gets its
+ * own random data key, which encrypts the file with AES-256-GCM and is stored
+ * in the file header, wrapped (encrypted) by a master key. The header names
+ * the master key, so files written before a key rotation stay readable as
+ * long as their key is still configured.
+ *
+ * File layout:
+ *
+ * - 'LNXE' magic bytes, format version (1 byte)
+ * - key ID length (1 byte), key ID (UTF-8)
+ * - wrapped data key length (2 bytes), wrapped data key
+ * - IV (12 bytes), ciphertext, authentication tag (16 bytes)
+ *
+ * Key providers implement:
+ *
+ * - generateDataKey() => Promise<{ keyId, dataKey, wrappedKey }>
+ * - decryptDataKey(keyId, wrappedKey) => Promise<Buffer>
+ * - requireEncryption (optional) - false to let plain files be read too
+ */
+
+const crypto = require("crypto");
+const { Transform } = require("stream");
+
+const MAGIC = Buffer.from("LNXE");
+const VERSION = 1;
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const CONTENT_TYPE_ENCRYPTED = "application/octet-stream";
+
+/**
+ * Object metadata written next to encrypted files in S3
+ */
+const METADATA = {
+  algorithm: "lognexus-encryption",
+  keyId: "lognexus-key-id",
+};
+
+/**
+ * Creates a key provider from master keys held in memory
+ * @param {Object} options - Key options
+ * @param {String|Buffer} options.key - Current master key (32 bytes, as a Buffer, base64 or hex)
+ * @param {String} options.keyId - ID of the current key, stored with every file (default: 'default')
+ * @param {Object|String} options.keys - Further keys by ID, still used to read older files ({ id: key } or 'id:key,id:key')
+ * @param {Boolean} options.requireEncryption - Whether files without encryption are rejected when read (default: true)
+ * @returns {Object} - Key provider
+ * @throws Will throw an error if a key is invalid or the current key is unknown
+ */
+function createKeyProvider(options = {}) {
+  const keys = new Map();
+  for (const [id, key] of _keyEntries(options.keys)) {
+    keys.set(id, _parseKey(key, id));
+  }
+
+  const keyId = options.keyId || "default";
+  if (options.key) {
+    keys.set(keyId, _parseKey(options.key, keyId));
+  }
+  if (!keys.has(keyId)) {
+    throw new Error(`Encryption key "${keyId}" is not configured.`);
+  }
+
+  return {
+    keyId,
+    requireEncryption: _isRequired(options.requireEncryption),
+
+    async generateDataKey() {
+      const dataKey = crypto.randomBytes(KEY_LENGTH);
+      return {
+        keyId,
+        dataKey,
+        wrappedKey: _wrapKey(keys.get(keyId), dataKey, keyId),
+      };
+    },
+
+    async decryptDataKey(id, wrappedKey) {
+      const key = keys.get(id);
+      if (!key) {
+        throw new Error(
+          `Log file is encrypted with key "${id}", which is not configured.`
+        );
+      }
+      return _unwrapKey(key, wrappedKey, id);
+    },
+  };
+}
+
+/**
+ * Resolves encryption options into a key provider. Without options, keys are
+ * read from LOG_ENCRYPTION_KEY, LOG_ENCRYPTION_KEY_ID, LOG_ENCRYPTION_KEYS and
+ * LOG_ENCRYPTION_REQUIRED.
+ * @param {Object|Boolean} options - A key provider, { keyProvider }, key options (see createKeyProvider) or false
+ * @returns {Object|null} - Key provider, or null when encryption is off
+ */
+function resolveKeyProvider(options) {
+  if (options === undefined) {
+    options = {
+      key: process.env.LOG_ENCRYPTION_KEY,
+      keyId: process.env.LOG_ENCRYPTION_KEY_ID,
+      keys: process.env.LOG_ENCRYPTION_KEYS,
+      requireEncryption: process.env.LOG_ENCRYPTION_REQUIRED,
+    };
+  }
+  if (!options || options.enabled === false) {
+    return null;
+  }
+  if (typeof options.generateDataKey === "function") {
+    return options;
+  }
+  if (options.keyProvider) {
+    if (options.requireEncryption === undefined) {
+      return options.keyProvider;
+    }
+    // the provider's own methods and state stay in use
+    return Object.assign(Object.create(options.keyProvider), {
+      requireEncryption: _isRequired(options.requireEncryption),
+    });
+  }
+  if (!options.key && !options.keys) {
+    return null;
+  }
+  return createKeyProvider(options);
+}
+
+/**
+ * Creates a transform stream encrypting what is written to it. The data key
+ * is requested from the provider when the first chunk arrives.
+ * @param {Object} keyProvider - Key provider
+ * @returns {Transform} - Encrypting stream; its `keyId` is set once the header has been written, and `ready()` requests the data key up front and resolves with it
+ */
+function createEncryptor(keyProvider) {
+  let started = null;
+  let cipher = null;
+
+  const start = (stream) => {
+    if (!started) {
+      started = _beginEncryption(keyProvider).then((encryption) => {
+        cipher = encryption.cipher;
+        stream.keyId = encryption.keyId;
+        stream.push(encryption.header);
+      });
+    }
+    return started;
+  };
+
+  const encryptor = new Transform({
+    transform(chunk, encoding, callback) {
+      start(this).then(() => callback(null, cipher.update(chunk)), callback);
+    },
+    flush(callback) {
+      start(this).then(() => {
+        this.push(cipher.final());
+        callback(null, cipher.getAuthTag());
+      }, callback);
+    },
+  });
+  encryptor.ready = () => start(encryptor).then(() => encryptor.keyId);
+  return encryptor;
+}
+
+/**
+ * Encrypts a whole file
+ * @param {Buffer} body - File content
+ * @param {Object} keyProvider - Key provider
+ * @returns {Promise<Object>} - { body, keyId }
+ */
+async function encrypt(body, keyProvider) {
+  const { header, cipher, keyId } = await _beginEncryption(keyProvider);
+  return {
+    body: Buffer.concat([
+      header,
+      cipher.update(body),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]),
+    keyId,
+  };
+}
+
+/**
+ * Creates a transform stream decrypting files written by createEncryptor or
+ * encrypt. With a key provider, files without the encryption header fail,
+ * since anyone able to write to the archive could otherwise slip in plain
+ * entries; set `requireEncryption` to false to read archives holding both
+ * plain and encrypted files. Without a key provider, plain files are passed
+ * through unchanged.
+ *
+ * Decrypted content is pushed as it streams, before the authentication tag
+ * at the end of the file has been checked. Output released before a final
+ * authentication error is unverified: callers must discard it when the
+ * stream fails.
+ * @param {Object} keyProvider - Key provider (only required for encrypted files)
+ * @param {Object} options - Decryption options
+ * @param {Boolean} options.requireEncryption - Whether plain files are rejected (default: the provider's `requireEncryption`, true unless false; false without a provider)
+ * @returns {Transform} - Decrypting stream
+ */
+function createDecryptor(keyProvider, options = {}) {
+  const requireEncryption =
+    options.requireEncryption === undefined
+      ? Boolean(keyProvider) && keyProvider.requireEncryption !== false
+      : Boolean(options.requireEncryption);
+  let buffered = Buffer.alloc(0);
+  let mode = null;
+  let decipher = null;
+
+  const decrypt = (stream, data) => {
+    // the last bytes may be the authentication tag
+    buffered = Buffer.concat([buffered, data]);
+    const available = buffered.length - TAG_LENGTH;
+    if (available > 0) {
+      stream.push(decipher.update(buffered.subarray(0, available)));
+      buffered = buffered.subarray(available);
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (mode === "plain") {
+        return callback(null, chunk);
+      }
+      if (mode === "encrypted") {
+        decrypt(this, chunk);
+        return callback();
+      }
+
+      buffered = Buffer.concat([buffered, chunk]);
+      if (
+        buffered.length < MAGIC.length &&
+        MAGIC.subarray(0, buffered.length).equals(buffered)
+      ) {
+        return callback();
+      }
+      if (!_startsWithMagic(buffered)) {
+        if (requireEncryption) {
+          return callback(_notEncryptedError());
+        }
+        mode = "plain";
+        const data = buffered;
+        buffered = Buffer.alloc(0);
+        return callback(null, data);
+      }
+
+      let header;
+      try {
+        header = _parseHeader(buffered);
+      } catch (error) {
+        return callback(error);
+      }
+      if (!header) {
+        return callback();
+      }
+
+      mode = "encrypted";
+      const rest = buffered.subarray(header.length);
+      buffered = Buffer.alloc(0);
+      if (!keyProvider) {
+        return callback(
+          new Error(
+            `Log file is encrypted with key "${header.keyId}"; configure the key to read it.`
+          )
+        );
+      }
+      Promise.resolve()
+        .then(() => keyProvider.decryptDataKey(header.keyId, header.wrappedKey))
+        .then((dataKey) => {
+          decipher = crypto.createDecipheriv(ALGORITHM, dataKey, header.iv);
+          decipher.setAAD(header.raw);
+          decrypt(this, rest);
+          callback();
+        }, callback);
+    },
+    flush(callback) {
+      if (mode !== "encrypted") {
+        // shorter than the magic bytes or a header
+        if (mode === null && buffered.length) {
+          if (_startsWithMagic(buffered)) {
+            return callback(new Error("Encrypted log file is truncated."));
+          }
+          if (requireEncryption) {
+            return callback(_notEncryptedError());
+          }
+          this.push(buffered);
+        }
+        return callback();
+      }
+
+      if (buffered.length < TAG_LENGTH) {
+        return callback(new Error("Encrypted log file is truncated."));
+      }
+      try {
+        decipher.setAuthTag(buffered);
+        callback(null, decipher.final());
+      } catch (error) {
+        callback(
+          new Error(
+            "Encrypted log file failed authentication (wrong key or corrupted file)."
+          )
+        );
+      }
+    },
+  });
+}
+
+/**
+ * Returns the S3 object metadata recording how a file was encrypted
+ * @param {String} keyId - Master key ID
+ * @returns {Object} - Metadata
+ */
+function objectMetadata(keyId) {
+  return { [METADATA.algorithm]: ALGORITHM, [METADATA.keyId]: keyId };
+}
+
+/**
+ * Generates a data key and returns the header and cipher of a new file
+ * @private
+ */
+async function _beginEncryption(keyProvider) {
+  const { keyId, dataKey, wrappedKey } = await keyProvider.generateDataKey();
+  const id = Buffer.from(String(keyId));
+  if (!id.length || id.length > 255) {
+    throw new Error(`Invalid encryption key ID "${keyId}".`);
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const wrappedLength = Buffer.alloc(2);
+  wrappedLength.writeUInt16BE(wrappedKey.length);
+  const header = Buffer.concat([
+    MAGIC,
+    Buffer.from([VERSION, id.length]),
+    id,
+    wrappedLength,
+    wrappedKey,
+    iv,
+  ]);
+
+  // the header is authenticated with the content
+  const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+  cipher.setAAD(header);
+  return { header, cipher, keyId: String(keyId) };
+}
+
+/**
+ * Parses a file header; null while it is incomplete
+ * @private
+ */
+function _parseHeader(buffer) {
+  if (buffer.length < MAGIC.length + 2) {
+    return null;
+  }
+  const version = buffer[MAGIC.length];
+  if (version !== VERSION) {
+    throw new Error(`Unsupported log file encryption version ${version}.`);
+  }
+
+  let offset = MAGIC.length + 1;
+  const idLength = buffer[offset++];
+  if (buffer.length < offset + idLength + 2) {
+    return null;
+  }
+  const keyId = buffer.subarray(offset, offset + idLength).toString();
+  offset += idLength;
+  const wrappedLength = buffer.readUInt16BE(offset);
+  offset += 2;
+  if (buffer.length < offset + wrappedLength + IV_LENGTH) {
+    return null;
+  }
+  const wrappedKey = buffer.subarray(offset, offset + wrappedLength);
+  offset += wrappedLength;
+  const iv = buffer.subarray(offset, offset + IV_LENGTH);
+  offset += IV_LENGTH;
+
+  return {
+    keyId,
+    wrappedKey: Buffer.from(wrappedKey),
+    iv: Buffer.from(iv),
+    raw: Buffer.from(buffer.subarray(0, offset)),
+    length: offset,
+  };
+}
+
+/**
+ * Encrypts a data key with a master key (IV, encrypted key, tag)
+ * @private
+ */
+function _wrapKey(masterKey, dataKey, keyId) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, masterKey, iv);
+  cipher.setAAD(Buffer.from(keyId));
+  return Buffer.concat([
+    iv,
+    cipher.update(dataKey),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+}
+
+/**
+ * @private
+ */
+function _unwrapKey(masterKey, wrappedKey, keyId) {
+  const iv = wrappedKey.subarray(0, IV_LENGTH);
+  const tag = wrappedKey.subarray(wrappedKey.length - TAG_LENGTH);
+  const encrypted = wrappedKey.subarray(IV_LENGTH, -TAG_LENGTH);
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, masterKey, iv);
+    decipher.setAAD(Buffer.from(keyId));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  } catch (error) {
+    throw new Error(`Could not decrypt the data key with key "${keyId}".`);
+  }
+}
+
+/**
+ * Reads a 32-byte key given as a Buffer, 64 hex characters or base64
+ * @private
+ */
+function _parseKey(key, keyId) {
+  let buffer = key;
+  if (typeof key === "string") {
+    buffer = /^[0-9a-f]{64}$/i.test(key)
+      ? Buffer.from(key, "hex")
+      : Buffer.from(key, "base64");
+  }
+  if (!Buffer.isBuffer(buffer) || buffer.length !== KEY_LENGTH) {
+    throw new Error(
+      `Encryption key "${keyId}" must be ${KEY_LENGTH} bytes (base64 or hex).`
+    );
+  }
+  return buffer;
+}
+
+/**
+ * @private
+ */
+function _keyEntries(keys) {
+  if (!keys) {
+    return [];
+  }
+  if (typeof keys !== "string") {
+    return Object.entries(keys);
+  }
+  return keys
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      if (separator < 1) {
+        throw new Error(`Invalid encryption key entry "${entry}" (id:key).`);
+      }
+      return [entry.slice(0, separator), entry.slice(separator + 1)];
+    });
+}
+
+/**
+ * Reads a requireEncryption setting, which may come from an env var
+ * @private
+ */
+function _isRequired(value) {
+  return value !== false && String(value).toLowerCase() !== "false";
+}
+
+/**
+ * @private
+ */
+function _notEncryptedError() {
+  return new Error(
+    "Log file is not encrypted; set requireEncryption to false to read plain files."
+  );
+}
+
+/**
+ * @private
+ */
+function _startsWithMagic(chunk) {
+  return (
+    chunk.length >= MAGIC.length &&
+    MAGIC.equals(chunk.subarray(0, MAGIC.length))
+  );
+}
+
+module.exports = {
+  CONTENT_TYPE_ENCRYPTED,
+  METADATA,
+  createKeyProvider,
+  resolveKeyProvider,
+  createEncryptor,
+  encrypt,
+  createDecryptor,
+  objectMetadata,
+};
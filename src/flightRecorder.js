@@ -0,0 +1,274 @@
+const winston = require("winston");
+const requestContext = require("./requestContext");
+
+const LEVEL = Symbol.for("level");
+// whether the level filter kept an entry out, and whether it was written since
+const SUPPRESSED = Symbol("lognexus.flightRecorderSuppressed");
+const DUMPED = Symbol("lognexus.flightRecorderDumped");
+
+/**
+ * Creates a flight recorder keeping the most recent entries in memory at
+ * every level, including the ones below the active level that are otherwise
+ * never written. Nothing is written while all is well: when an entry at
+ * `triggerLevel` or above is logged, the suppressed entries recorded before
+ * it (those of its request when it has a request ID) are written to the
+ * transports, tagged with the entry that triggered them.
+ *
+ * Memory is bounded by entry counts: one buffer of `size` entries, plus up to
+ * `maxRequests` buffers of `requestSize` entries for the most recently active
+ * request IDs. Entries are shallow copies; objects they reference are kept
+ * until the entry leaves every buffer.
+ *
+ * @param {Object} options - Recorder options
+ * @param {Number} options.size - Most recent entries kept across all requests (default: 500)
+ * @param {Number} options.requestSize - Most recent entries kept per request ID (default: 100; 0 disables per-request buffers)
+ * @param {Number} options.maxRequests - Request IDs tracked at once; the least recently active is dropped first (default: 100)
+ * @param {String|Boolean} options.triggerLevel - Entries at this level or more severe write the buffer (default: 'error'; false to dump only on uncaught exceptions and dumpRecent)
+ * @param {Function} options.isLogged - Function (level, namespace) telling whether the level filter lets an entry through
+ * @param {Object} options.levels - Level priorities (default: npm levels)
+ * @returns {Object} - Recorder
+ */
+function createFlightRecorder(options = {}) {
+  const levels = options.levels || winston.config.npm.levels;
+  const size = _count(options.size, 500);
+  const requestSize = _count(options.requestSize, 100);
+  const maxRequests = _count(options.maxRequests, 100);
+  const triggerLevel =
+    options.triggerLevel === undefined ? "error" : options.triggerLevel;
+  const isLogged = options.isLogged || (() => true);
+
+  if (triggerLevel && levels[triggerLevel] === undefined) {
+    throw new Error(`Unknown log level "${triggerLevel}".`);
+  }
+
+  const recent = [];
+  const requests = new Map();
+  let logger = null;
+  let deliveryFormat = null;
+  let dumps = 0;
+
+  /**
+   * Records an entry and, when it is severe enough, writes the suppressed
+   * entries recorded before it
+   * @param {Object} info - Log entry, before the level filter
+   */
+  function record(info) {
+    const level = info[LEVEL] || info.level;
+    // `logger.error(err)` passes the error itself, whose message and stack
+    // a copy would lose; as the message it still reaches the serializer
+    const entry =
+      info instanceof Error
+        ? { level: info.level, [LEVEL]: level, message: info }
+        : { ...info };
+    const context = requestContext.getContext();
+    if (context) {
+      for (const key of Object.keys(context)) {
+        if (entry[key] === undefined) {
+          entry[key] = context[key];
+        }
+      }
+    }
+    // the entry may be written much later than it was logged
+    if (entry.timestamp === undefined) {
+      entry.timestamp = new Date().toISOString();
+    }
+    entry[SUPPRESSED] = !isLogged(level, info.namespace);
+
+    _push(recent, entry, size);
+    if (entry.requestId && requestSize) {
+      let buffer = requests.get(entry.requestId);
+      if (buffer) {
+        requests.delete(entry.requestId);
+      } else {
+        buffer = [];
+        if (requests.size >= maxRequests) {
+          requests.delete(requests.keys().next().value);
+        }
+      }
+      requests.set(entry.requestId, buffer);
+      _push(buffer, entry, requestSize);
+    }
+
+    if (triggerLevel && levels[level] <= levels[triggerLevel]) {
+      dump({
+        requestId: entry.requestId,
+        reason: "error",
+        trigger: entry,
+      });
+    }
+  }
+
+  /**
+   * Writes the recorded entries that the level filter kept out and that were
+   * not written by an earlier dump, oldest first
+   * @param {Object} dumpOptions - Dump options
+   * @param {String} dumpOptions.requestId - Only write the entries of this request (default: the current request, if any)
+   * @param {Boolean} dumpOptions.all - Write the entries of all requests
+   * @param {String} dumpOptions.reason - Why the entries are written ('error', 'uncaughtException', default: 'manual')
+   * @param {Object|Error|String} dumpOptions.trigger - Entry, error or message that caused the dump
+   * @returns {Array} - The entries written
+   */
+  function dump(dumpOptions = {}) {
+    const requestId = dumpOptions.all
+      ? null
+      : dumpOptions.requestId || requestContext.getRequestId();
+    const source = requestId ? requests.get(requestId) || [] : recent;
+    const pending = source.filter(
+      (entry) => entry[SUPPRESSED] && !entry[DUMPED]
+    );
+    if (!pending.length) {
+      return [];
+    }
+
+    dumps++;
+    const tag = {
+      reason: dumpOptions.reason || "manual",
+      trigger: _describe(dumpOptions.trigger),
+    };
+    const written = [];
+    for (const entry of pending) {
+      entry[DUMPED] = true;
+      const info = _deliver({ ...entry, flightRecorder: tag });
+      if (info) {
+        written.push(info);
+      }
+    }
+    return written;
+  }
+
+  /**
+   * Sets the logger whose transports receive dumped entries
+   * @param {Object} target - Winston logger
+   * @param {Object} format - Format applied to dumped entries before the transports (error serialization, redaction, output format)
+   */
+  function start(target, format) {
+    logger = target;
+    deliveryFormat = format || null;
+  }
+
+  /**
+   * Returns the number of entries held and of dumps written
+   * @returns {Object} - { entries, requests, dumps }
+   */
+  function getStats() {
+    return { entries: recent.length, requests: requests.size, dumps };
+  }
+
+  /**
+   * Writes one entry to every transport, past the transports' own levels
+   * @private
+   */
+  function _deliver(entry) {
+    if (!logger || _ended(logger)) {
+      return null;
+    }
+
+    const info = deliveryFormat
+      ? deliveryFormat.transform(entry, deliveryFormat.options)
+      : entry;
+    if (!info) {
+      return null;
+    }
+
+    for (const transport of logger.transports) {
+      if (transport.silent || _ended(transport)) {
+        continue;
+      }
+      const transformed = transport.format
+        ? transport.format.transform({ ...info }, transport.format.options)
+        : info;
+      if (transformed) {
+        transport.log(transformed, () => {});
+      }
+    }
+    return info;
+  }
+
+  return {
+    record,
+    dump,
+    start,
+    getStats,
+  };
+}
+
+/**
+ * Creates a Winston format handing every entry to the recorder. It goes
+ * ahead of the level filter so that suppressed entries are recorded too.
+ * @param {Object} recorder - Recorder returned by createFlightRecorder
+ * @returns {Object} - Winston format instance
+ */
+function format(recorder) {
+  return winston.format((info) => {
+    recorder.record(info);
+    return info;
+  })();
+}
+
+/**
+ * Describes what caused a dump: the level, message and error of an entry,
+ * or an error or message passed to dumpRecent
+ * @private
+ */
+function _describe(trigger) {
+  if (!trigger) {
+    return undefined;
+  }
+  if (trigger instanceof Error) {
+    return { message: trigger.message, error: _errorSummary(trigger) };
+  }
+  if (typeof trigger !== "object") {
+    return { message: String(trigger) };
+  }
+
+  const error =
+    trigger.message instanceof Error ? trigger.message : trigger.error;
+  return {
+    level: trigger.level,
+    message:
+      trigger.message instanceof Error
+        ? trigger.message.message
+        : trigger.message,
+    requestId: trigger.requestId,
+    error:
+      error && typeof error === "object" ? _errorSummary(error) : undefined,
+  };
+}
+
+/**
+ * @private
+ */
+function _errorSummary(error) {
+  return { name: error.name, message: error.message, code: error.code };
+}
+
+/**
+ * Whether a stream was ended (Winston's streams predate `writableEnded`)
+ * @private
+ */
+function _ended(stream) {
+  return Boolean(stream._writableState && stream._writableState.ended);
+}
+
+/**
+ * @private
+ */
+function _push(buffer, entry, limit) {
+  buffer.push(entry);
+  if (buffer.length > limit) {
+    buffer.splice(0, buffer.length - limit);
+  }
+}
+
+/**
+ * @private
+ */
+function _count(value, fallback) {
+  const count = parseInt(value, 10);
+  return isNaN(count) || count < 0 ? fallback : count;
+}
+
+module.exports = {
+  createFlightRecorder,
+  format,
+};
@@ -0,0 +1,404 @@
+const { parseDuration } = require("./utils");
+
+/**
+ * Creates the controls changing log levels at runtime. Every change is
+ * logged as an audit entry and may be reverted automatically after a while.
+ * @param {Object} components - Components to control
+ * @param {Object} components.logger - Winston logger created by createLogger
+ * @param {Object} components.controller - Level controller (see namespaceLevels.createLevelController)
+ * @param {String} components.auditLevel - Level of audit entries (default: 'warn')
+ * @returns {Object} - Level controls
+ */
+function createLevelControls(components = {}) {
+  const { logger } = components;
+  const controller = components.controller || logger.levelController;
+  const auditLevel = components.auditLevel || "warn";
+
+  // pending automatic reverts, keyed by target ('default', 'namespace:db', ...)
+  const reverts = new Map();
+  let signalHandler = null;
+
+  /**
+   * Returns the levels currently applied
+   * @returns {Object} - { level, effective, namespaces, transports, reverts }
+   */
+  function getLevels() {
+    const { level, rules } = controller.getLevels();
+    return {
+      level,
+      effective: logger.level,
+      namespaces: rules,
+      transports: logger.transports.map((transport, index) => ({
+        name: transport.name || `transport-${index}`,
+        level: transport.level || null,
+      })),
+      reverts: [...reverts.entries()].map(([target, revert]) => ({
+        target,
+        level: revert.level,
+        at: new Date(revert.at).toISOString(),
+      })),
+    };
+  }
+
+  /**
+   * Changes the default level, a namespace level or a transport level
+   * @param {String|null} level - New level (null removes a namespace rule or a transport level)
+   * @param {Object} options - Change options
+   * @param {String} options.namespace - Namespace pattern to change (e.g. 'payments:*')
+   * @param {String|Object} options.transport - Transport name ('console', 's3', ...) or instance to change
+   * @param {String|Number} options.revertAfter - Restore the previous level after this duration ('15m', 60000)
+   * @param {String} options.reason - Why the level was changed (logged in the audit entry)
+   * @param {String} options.source - Who changed the level ('api', 'signal', 'http')
+   * @returns {Object} - The applied change ({ target, level, previous, revertAt })
+   * @throws Will throw an error if the level, namespace or transport is unknown
+   */
+  function setLevel(level, options = {}) {
+    if (level !== null && controller.levels[level] === undefined) {
+      throw _invalid(`Unknown log level "${level}".`);
+    }
+
+    const target = _resolveTarget(options);
+    const previous = _read(target);
+    _write(target, level);
+
+    const pending = reverts.get(target.key);
+    if (pending) {
+      clearTimeout(pending.timer);
+      reverts.delete(target.key);
+    }
+
+    const revertAfter = parseDuration(options.revertAfter, 0);
+    let revertAt = null;
+    if (revertAfter > 0) {
+      // a pending revert keeps pointing at the level in place before the
+      // first temporary change
+      const revertTo = pending ? pending.level : previous;
+      revertAt = Date.now() + revertAfter;
+      const timer = setTimeout(() => {
+        reverts.delete(target.key);
+        _apply(target, revertTo, {
+          previous: _read(target),
+          source: "revert",
+          reason: "Temporary level expired",
+        });
+      }, revertAfter);
+      timer.unref();
+      reverts.set(target.key, { level: revertTo, at: revertAt, timer });
+    }
+
+    const change = {
+      target: target.key,
+      level,
+      previous,
+      revertAt: revertAt ? new Date(revertAt).toISOString() : null,
+    };
+    _audit(change, options);
+    return change;
+  }
+
+  /**
+   * Registers a signal that switches to a temporary level; sending the signal
+   * again before the level expires switches back immediately
+   * @param {Object} options - Signal options
+   * @param {String} options.signal - Signal to listen to (default: 'SIGUSR2')
+   * @param {String} options.level - Temporary level (default: 'debug')
+   * @param {String|Number} options.duration - How long the level applies (default: '15m')
+   */
+  function registerSignal(options = {}) {
+    if (signalHandler) {
+      return;
+    }
+
+    const signal = options.signal || "SIGUSR2";
+    const level = options.level || "debug";
+    const duration = options.duration || "15m";
+
+    signalHandler = () => {
+      const pending = reverts.get("default");
+      if (pending && pending.signal) {
+        setLevel(pending.level, { source: "signal", reason: signal });
+        return;
+      }
+
+      setLevel(level, {
+        revertAfter: duration,
+        source: "signal",
+        reason: signal,
+      });
+      const revert = reverts.get("default");
+      if (revert) {
+        revert.signal = signal;
+      }
+    };
+    signalHandler.signal = signal;
+    process.on(signal, signalHandler);
+  }
+
+  /**
+   * Creates a request handler reading (GET) and changing (PUT, POST, PATCH)
+   * log levels. It can be mounted on an Express app or router, or called from
+   * a plain http server. Changes take a JSON body with the setLevel options:
+   * { "level": "debug", "namespace": "payments:*", "revertAfter": "15m" }
+   * @param {Object} options - Handler options
+   * @param {Function|Boolean} options.authorize - Function (req) returning (a promise of) whether the request is allowed; required, or false to allow every request
+   * @returns {Function} - Request handler (req, res, next)
+   * @throws Will throw an error without an authorize option
+   */
+  function adminHandler(options = {}) {
+    // anyone reaching it could silence the logs or flood them with debug
+    // entries, so opening it to every request has to be a deliberate choice
+    if (
+      typeof options.authorize !== "function" &&
+      options.authorize !== false
+    ) {
+      throw new Error(
+        "The level admin handler needs an authorize function (or authorize: false to allow every request)."
+      );
+    }
+
+    return async function lognexusLevelAdmin(req, res, next) {
+      const send = (status, body) =>
+        _send(res, status, body, req.method === "HEAD");
+
+      const path = (req.url || "/").split("?")[0];
+      if (path !== "/" && path !== "") {
+        return next ? next() : send(404, { error: "Not found" });
+      }
+
+      try {
+        if (options.authorize && !(await options.authorize(req))) {
+          return send(403, { error: "Forbidden" });
+        }
+
+        if (req.method === "GET" || req.method === "HEAD") {
+          return send(200, getLevels());
+        }
+
+        if (!["PUT", "POST", "PATCH"].includes(req.method)) {
+          res.setHeader("Allow", "GET, HEAD, PUT, POST, PATCH");
+          return send(405, { error: "Method not allowed" });
+        }
+
+        const body = await _readBody(req);
+        if (!body || body.level === undefined) {
+          return send(400, { error: "A level is required." });
+        }
+
+        const change = setLevel(body.level, {
+          namespace: body.namespace,
+          transport: body.transport,
+          revertAfter: body.revertAfter,
+          reason: body.reason,
+          source: "http",
+          remoteAddr: req.socket && req.socket.remoteAddress,
+        });
+        return send(200, { change, levels: getLevels() });
+      } catch (err) {
+        if (err.invalid) {
+          return send(400, { error: err.message });
+        }
+        // other failures (a throwing authorize function included) may
+        // describe internals, so they are logged rather than sent
+        if (logger.writable) {
+          logger.error("Level admin request failed", {
+            namespace: "lognexus",
+            error: err,
+          });
+        }
+        return send(500, { error: "Internal server error" });
+      }
+    };
+  }
+
+  /**
+   * Removes the signal handler and cancels pending reverts
+   */
+  function stop() {
+    if (signalHandler) {
+      process.removeListener(signalHandler.signal, signalHandler);
+      signalHandler = null;
+    }
+
+    for (const revert of reverts.values()) {
+      clearTimeout(revert.timer);
+    }
+    reverts.clear();
+  }
+
+  /**
+   * @private
+   */
+  function _resolveTarget(options) {
+    if (options.namespace !== undefined && options.transport !== undefined) {
+      throw _invalid("Set either a namespace or a transport, not both.");
+    }
+
+    if (options.namespace !== undefined) {
+      const pattern = String(options.namespace).trim();
+      if (!pattern) {
+        throw _invalid("The namespace pattern is empty.");
+      }
+      return { key: `namespace:${pattern}`, namespace: pattern };
+    }
+
+    if (options.transport !== undefined) {
+      const transport =
+        typeof options.transport === "object"
+          ? logger.transports.find((t) => t === options.transport)
+          : logger.transports.find(
+              (t, index) =>
+                (t.name || `transport-${index}`) === options.transport
+            );
+      if (!transport) {
+        throw _invalid(`Unknown transport "${options.transport}".`);
+      }
+      const index = logger.transports.indexOf(transport);
+      return {
+        key: `transport:${transport.name || `transport-${index}`}`,
+        transport,
+      };
+    }
+
+    return { key: "default" };
+  }
+
+  /**
+   * @private
+   */
+  function _read(target) {
+    if (target.transport) {
+      return target.transport.level || null;
+    }
+
+    const { level, rules } = controller.getLevels();
+    if (target.namespace) {
+      const rule = rules.find((r) => r.pattern === target.namespace);
+      return rule ? rule.level : null;
+    }
+    return level;
+  }
+
+  /**
+   * @private
+   */
+  function _write(target, level) {
+    if (target.transport) {
+      target.transport.level = level || undefined;
+    } else if (target.namespace) {
+      // re-adding the rule at the end makes it win over earlier patterns
+      const rules = controller
+        .getLevels()
+        .rules.filter((rule) => rule.pattern !== target.namespace);
+      if (level) {
+        rules.push({ pattern: target.namespace, level });
+      }
+      controller.setLevels({ rules });
+    } else {
+      if (!level) {
+        throw _invalid("The default level cannot be removed.");
+      }
+      controller.setLevels({ level });
+    }
+
+    // the logger has to let through whatever the most verbose namespace logs
+    logger.level = controller.mostVerbose();
+  }
+
+  /**
+   * @private
+   */
+  function _apply(target, level, details) {
+    _write(target, level);
+    _audit(
+      { target: target.key, level, previous: details.previous, revertAt: null },
+      details
+    );
+  }
+
+  /**
+   * @private
+   */
+  function _audit(change, options) {
+    if (!logger.writable) {
+      return;
+    }
+
+    // `level` is taken by the entry's own level
+    logger.log(auditLevel, "Log level changed", {
+      namespace: "lognexus",
+      audit: "log_level",
+      target: change.target,
+      newLevel: change.level,
+      previousLevel: change.previous,
+      revertAt: change.revertAt,
+      source: options.source || "api",
+      reason: options.reason,
+      remoteAddr: options.remoteAddr,
+    });
+  }
+
+  return {
+    getLevels,
+    setLevel,
+    registerSignal,
+    adminHandler,
+    stop,
+  };
+}
+
+/**
+ * Reads a JSON request body, unless a body parser already did
+ * @private
+ */
+function _readBody(req) {
+  if (req.body !== undefined && typeof req.body === "object") {
+    return Promise.resolve(req.body);
+  }
+
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      data += chunk;
+      if (data.length > 64 * 1024) {
+        reject(_invalid("Request body is too large."));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(_invalid("Request body is not valid JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Creates an error caused by the request or the change asked for, as opposed
+ * to a failure of the handler
+ * @private
+ */
+function _invalid(message) {
+  const error = new Error(message);
+  error.invalid = true;
+  return error;
+}
+
+/**
+ * Sends a JSON response; answers to HEAD requests carry its headers only
+ * @private
+ */
+function _send(res, status, body, headOnly) {
+  const json = JSON.stringify(body);
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Content-Length", Buffer.byteLength(json));
+  res.end(headOnly ? undefined : json);
+}
+
+module.exports = {
+  createLevelControls,
+};
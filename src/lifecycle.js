@@ -0,0 +1,211 @@
+const os = require("os");
+
+/**
+ * Creates flush and shutdown controls for an initialized logger
+ * @param {Object} components - Components to manage
+ * @param {Object} components.logger - Winston logger instance
+ * @param {Object} components.s3Stream - S3 stream logger instance (optional)
+ * @param {Array} components.s3Streams - Further S3 streams, e.g. one per log route (optional)
+ * @param {Function} components.flushStream - Function (stream) returning a promise that uploads the stream's buffer
+ * @param {Object} components.alerts - Alert transport whose queued alerts are posted on flush (optional)
+ * @param {Function} components.stopCacheClear - Function stopping the cache clearing interval
+ * @param {Function} components.removeErrorHandlers - Function removing the global error handlers
+ * @param {Function} components.restoreConsole - Function restoring the original console methods
+ * @param {Function} components.restoreOutbound - Function removing the outbound HTTP instrumentation
+ * @param {Function} components.stopLevelControls - Function removing the level signal handler and revert timers
+ * @param {Function} components.stopSampler - Function stopping the sampler timers and logging its pending counts
+ * @param {Number} components.timeout - Default shutdown timeout in milliseconds
+ * @returns {Object} - Lifecycle controls
+ */
+function createLifecycle(components = {}) {
+  const {
+    logger,
+    alerts,
+    flushStream,
+    stopCacheClear,
+    removeErrorHandlers,
+    restoreConsole,
+    restoreOutbound,
+    stopLevelControls,
+    stopSampler,
+  } = components;
+  const defaultTimeout = components.timeout || 10000;
+  const s3Streams = [components.s3Stream, ...(components.s3Streams || [])]
+    .filter(Boolean)
+    .filter((stream, index, all) => all.indexOf(stream) === index);
+
+  let shutdownPromise = null;
+  let hooks = null;
+
+  /**
+   * Waits for pending entries to reach the transports, posts queued alerts
+   * and force-uploads the current S3 buffers
+   * @returns {Promise} - Resolves once the buffer has been uploaded
+   */
+  async function flush() {
+    // Entries are handed to the transports asynchronously; let them drain
+    // before uploading.
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // failed alert posts are reported through the transport, never thrown
+    if (alerts) {
+      await alerts.flush();
+    }
+
+    if (flushStream) {
+      // every destination gets its upload even when another one fails
+      const results = await Promise.allSettled(
+        s3Streams.map((stream) => flushStream(stream))
+      );
+      const failed = results.find((result) => result.status === "rejected");
+      if (failed) {
+        throw failed.reason;
+      }
+    }
+  }
+
+  /**
+   * Flushes pending entries, closes all transports and stops background timers.
+   * Calling it more than once returns the same promise.
+   * @param {Object} options - Shutdown options
+   * @param {Number} options.timeout - Maximum time to wait in milliseconds
+   * @returns {Promise} - Resolves when shutdown is complete (or timed out)
+   */
+  function shutdown(options = {}) {
+    if (shutdownPromise) {
+      return shutdownPromise;
+    }
+
+    const timeout = options.timeout || defaultTimeout;
+    let timer = null;
+
+    const work = (async () => {
+      if (stopCacheClear) {
+        stopCacheClear();
+      }
+      if (stopLevelControls) {
+        stopLevelControls();
+      }
+      // repeat counts are logged on stop and still have to be flushed
+      if (stopSampler) {
+        stopSampler();
+      }
+
+      let flushError = null;
+      try {
+        await flush();
+      } catch (error) {
+        flushError = error;
+      }
+
+      if (removeErrorHandlers) {
+        removeErrorHandlers();
+      }
+      if (restoreConsole) {
+        restoreConsole();
+      }
+      if (restoreOutbound) {
+        restoreOutbound();
+      }
+      removeHooks();
+
+      await _closeLogger(logger);
+
+      if (flushError) {
+        throw flushError;
+      }
+    })();
+
+    const expired = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(new Error(`Logger shutdown timed out after ${timeout} ms`));
+      }, timeout);
+    });
+
+    shutdownPromise = Promise.race([work, expired]).finally(() =>
+      clearTimeout(timer)
+    );
+    return shutdownPromise;
+  }
+
+  /**
+   * Registers process hooks that shut the logger down before the process exits
+   * @param {Object} options - Hook options
+   * @param {Array} options.signals - Signals to handle (default: ['SIGTERM', 'SIGINT'])
+   * @param {Boolean} options.beforeExit - Whether to flush on 'beforeExit'
+   * @param {Number} options.timeout - Shutdown timeout in milliseconds
+   */
+  function registerHooks(options = {}) {
+    if (hooks) {
+      return;
+    }
+
+    const signals = options.signals || ["SIGTERM", "SIGINT"];
+    hooks = {};
+
+    for (const signal of signals) {
+      hooks[signal] = () => {
+        const code = 128 + (os.constants.signals[signal] || 0);
+        shutdown({ timeout: options.timeout }).then(
+          () => process.exit(code),
+          (error) => {
+            process.stderr.write(`lognexus: ${error.message}\n`);
+            process.exit(code);
+          }
+        );
+      };
+      process.once(signal, hooks[signal]);
+    }
+
+    if (options.beforeExit !== false) {
+      hooks.beforeExit = () => {
+        shutdown({ timeout: options.timeout }).catch((error) => {
+          process.stderr.write(`lognexus: ${error.message}\n`);
+        });
+      };
+      process.once("beforeExit", hooks.beforeExit);
+    }
+  }
+
+  /**
+   * Removes the process hooks registered by registerHooks
+   */
+  function removeHooks() {
+    if (!hooks) {
+      return;
+    }
+
+    for (const event of Object.keys(hooks)) {
+      process.removeListener(event, hooks[event]);
+    }
+    hooks = null;
+  }
+
+  return {
+    flush,
+    shutdown,
+    registerHooks,
+    removeHooks,
+  };
+}
+
+/**
+ * Ends the logger and waits for its transports to finish
+ * @param {Object} logger - Winston logger instance
+ * @returns {Promise} - Resolves when all transports have finished
+ * @private
+ */
+function _closeLogger(logger) {
+  if (!logger || !logger.writable) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    logger.once("finish", resolve);
+    logger.end();
+  });
+}
+
+module.exports = {
+  createLifecycle,
+};
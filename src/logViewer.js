@@ -0,0 +1,427 @@
+const crypto = require("crypto");
+const Transport = require("winston-transport");
+const downloadS3Logs = require("./downloadLogFiles");
+const queryLogs = require("./queryLogs");
+const { listLogFiles } = require("./archiveIndex");
+const { resolveKeyProvider } = require("./encryption");
+const { resolveStorage } = require("./storage");
+const { wildcardToRegExp, parseDuration, toTime } = require("./utils");
+const { renderPage } = require("./logViewerPage");
+
+/**
+ * Transport feeding the log viewer: it keeps the most recent entries and
+ * sends every entry to the connected Server-Sent Events clients whose
+ * filters it matches. Entries arrive after redaction, like in every other
+ * transport.
+ */
+class ViewerTransport extends Transport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Number} options.history - Entries kept for clients that connect (default: 500)
+   * @param {Number} options.maxEntrySize - Serialized size above which an entry is sent truncated (default: 16 KB)
+   * @param {String|Number} options.heartbeat - Interval of keep-alive comments (default: '15s')
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = options.name || "viewer";
+    this.history = options.history === undefined ? 500 : options.history;
+    this.maxEntrySize = options.maxEntrySize || 16 * 1024;
+    this.heartbeat = parseDuration(options.heartbeat, 15000);
+    this.recent = [];
+    this.clients = new Set();
+    this.seq = 0;
+    this.closed = false;
+    this._timer = null;
+
+    this.once("finish", () => this.close());
+  }
+
+  log(info, callback) {
+    const record = this._record(info);
+    if (this.history > 0) {
+      this.recent.push(record);
+      if (this.recent.length > this.history) {
+        this.recent.shift();
+      }
+    }
+
+    for (const client of this.clients) {
+      this._send(client, record);
+    }
+    callback();
+  }
+
+  /**
+   * Streams entries to a client as Server-Sent Events until it disconnects:
+   * first the kept entries (after `lastEventId` when reconnecting), then the
+   * live ones
+   * @param {Object} res - HTTP response
+   * @param {Function} matches - Predicate (entry, line)
+   * @param {Number} lastEventId - ID of the last entry the client received, if any
+   */
+  subscribe(res, matches, lastEventId) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // nginx buffers responses by default
+      "X-Accel-Buffering": "no",
+    });
+
+    if (this.closed) {
+      res.end("event: closed\ndata: {}\n\n");
+      return;
+    }
+
+    const client = { res, matches, dropped: 0, congested: false };
+    res.write("retry: 3000\n\n");
+    for (const record of this.recent) {
+      if (lastEventId === undefined || record.seq > lastEventId) {
+        this._send(client, record);
+      }
+    }
+
+    this.clients.add(client);
+    res.on("drain", () => {
+      client.congested = false;
+      if (client.dropped) {
+        res.write(`event: dropped\ndata: ${client.dropped}\n\n`);
+        client.dropped = 0;
+      }
+    });
+    res.on("close", () => {
+      this.clients.delete(client);
+      if (!this.clients.size) {
+        this._stopHeartbeat();
+      }
+    });
+    this._startHeartbeat();
+  }
+
+  /**
+   * Ends the connected event streams
+   */
+  close() {
+    this.closed = true;
+    this._stopHeartbeat();
+    for (const client of this.clients) {
+      client.res.end("event: closed\ndata: {}\n\n");
+    }
+    this.clients.clear();
+  }
+
+  /**
+   * Serializes an entry once for all clients
+   * @private
+   */
+  _record(info) {
+    const entry = { ...info };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch (err) {
+      line = null;
+    }
+
+    if (line === null || line.length > this.maxEntrySize) {
+      const message =
+        typeof info.message === "string"
+          ? info.message
+          : String(info.message && info.message.message);
+      const summary = {
+        timestamp: info.timestamp,
+        level: info.level,
+        namespace: info.namespace,
+        requestId: info.requestId,
+        message: message.slice(0, 1024),
+        truncated: true,
+      };
+      return { seq: ++this.seq, entry: summary, line: JSON.stringify(summary) };
+    }
+    return { seq: ++this.seq, entry, line };
+  }
+
+  /**
+   * Sends a record unless the client filters it out. A client that does not
+   * keep up misses entries until its connection drains, and is then told
+   * how many.
+   * @private
+   */
+  _send(client, record) {
+    if (!client.matches(record.entry, record.line)) {
+      return;
+    }
+    if (client.congested) {
+      client.dropped++;
+      return;
+    }
+    if (!client.res.write(`id: ${record.seq}\ndata: ${record.line}\n\n`)) {
+      client.congested = true;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _startHeartbeat() {
+    if (this._timer || !this.heartbeat) {
+      return;
+    }
+    this._timer = setInterval(() => {
+      for (const client of this.clients) {
+        if (!client.congested) {
+          client.res.write(": ping\n\n");
+        }
+      }
+    }, this.heartbeat);
+    this._timer.unref();
+  }
+
+  /**
+   * @private
+   */
+  _stopHeartbeat() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+}
+
+/**
+ * Creates a request handler serving a log viewer: a web page tailing the
+ * logger live over Server-Sent Events, with filters by level, namespace,
+ * request ID and text, and a browser of the archived files. It can be
+ * mounted on an Express app or router (`app.use('/logs', viewer)`), or
+ * called from a plain http server. Routes, relative to the mount point:
+ *
+ * - GET /             the page
+ * - GET /events       live entries (query: level, namespace, requestId, q)
+ * - GET /files        archived files (query: from, to)
+ * - GET /file?key=    decrypted and decompressed content of an archived file
+ *
+ * @param {Object} options - Viewer options
+ * @param {Object} options.logger - Winston logger to tail (a viewer transport is added to it)
+ * @param {Function|Boolean} options.authorize - Function (req) returning (a promise of) whether the request is allowed; required, or false to allow every request
+ * @param {Number} options.history - Recent entries sent to clients when they connect (default: 500)
+ * @param {Number} options.maxEntrySize - Serialized size above which live entries are truncated (default: 16 KB)
+ * @param {String} options.title - Page title (default: 'Lognexus')
+ * @param {String} options.prefix - Archive folder browsed by the page (without it, only live entries are shown)
+ * @param {Object} options.storage - Storage backend, or backend options (see storage.resolveStorage)
+ * @param {Object} options.awsConfig - AWS settings of the archive
+ * @param {String} options.nameFormat - Name format of the archived files
+ * @param {String|Number} options.rotateEvery - Rotation period of the archived files
+ * @param {Object|Boolean} options.encryption - Key provider or key options decrypting archived files
+ * @returns {Function} - Request handler (req, res, next), with its `transport`
+ * @throws Will throw an error without a logger or an authorize option
+ */
+function createLogViewer(options = {}) {
+  if (!options.logger) {
+    throw new Error("The log viewer needs a logger.");
+  }
+  // it shows everything the logger writes, so opening it to anyone has to
+  // be a deliberate choice
+  if (typeof options.authorize !== "function" && options.authorize !== false) {
+    throw new Error(
+      "The log viewer needs an authorize function (or authorize: false to allow every request)."
+    );
+  }
+
+  const { logger } = options;
+  const transport = new ViewerTransport({
+    history: options.history,
+    maxEntrySize: options.maxEntrySize,
+  });
+  logger.add(transport);
+
+  const levels = logger.levels || {};
+  // keys of a sibling folder sharing the name's start are not part of it
+  const prefix = options.prefix ? options.prefix.replace(/\/?$/, "/") : "";
+  const archived = Boolean(prefix);
+  let archive = null;
+  // the archive settings are only checked when the archive is browsed
+  const openArchive = () => {
+    if (!archive) {
+      archive = {
+        storage: resolveStorage(options),
+        keyProvider: resolveKeyProvider(options.encryption),
+      };
+    }
+    return archive;
+  };
+
+  const routes = {
+    "/": (req, res) => {
+      // relative links resolve against the mount point only with a trailing
+      // slash
+      const [path, search] = (req.originalUrl || req.url).split(/\?(.*)/s);
+      if (!path.endsWith("/")) {
+        res.statusCode = 301;
+        res.setHeader("Location", `${path}/${search ? `?${search}` : ""}`);
+        return res.end();
+      }
+
+      const nonce = crypto.randomBytes(16).toString("base64");
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.setHeader("Cache-Control", "no-store");
+      res.setHeader("X-Content-Type-Options", "nosniff");
+      res.setHeader("Referrer-Policy", "no-referrer");
+      res.setHeader(
+        "Content-Security-Policy",
+        `default-src 'none'; connect-src 'self'; script-src 'nonce-${nonce}'; style-src 'nonce-${nonce}'; frame-ancestors 'none'`
+      );
+      res.end(
+        renderPage({
+          title: options.title || "Lognexus",
+          levels: Object.keys(levels).sort((a, b) => levels[a] - levels[b]),
+          archive: archived,
+          nonce,
+        })
+      );
+    },
+
+    "/events": (req, res, query) => {
+      const lastEventId = parseInt(req.headers["last-event-id"], 10);
+      transport.subscribe(
+        res,
+        _createFilter(query, levels),
+        isNaN(lastEventId) ? undefined : lastEventId
+      );
+    },
+
+    "/files": async (req, res, query) => {
+      if (!archived) {
+        return _send(res, 404, { error: "Not found" });
+      }
+
+      let from;
+      let to;
+      try {
+        from = toTime(query.get("from"));
+        to = toTime(query.get("to"));
+      } catch (err) {
+        return _send(res, 400, { error: err.message });
+      }
+
+      const { storage } = openArchive();
+      const files = (await listLogFiles(storage, prefix, options))
+        .filter(
+          ({ window }) =>
+            !window ||
+            ((to === null || window.start <= to) &&
+              (from === null || window.end > from))
+        )
+        .map((file) => ({
+          key: file.key,
+          size: file.size,
+          lastModified: file.lastModified,
+          start: file.window ? new Date(file.window.start).toISOString() : null,
+          end: file.window ? new Date(file.window.end).toISOString() : null,
+        }));
+      return _send(res, 200, { prefix, files });
+    },
+
+    "/file": async (req, res, query) => {
+      const key = query.get("key");
+      if (!archived) {
+        return _send(res, 404, { error: "Not found" });
+      }
+      // only files of the viewer's own archive can be read
+      if (!key || !key.startsWith(prefix) || key.includes("..")) {
+        return _send(res, 400, { error: "Invalid file key." });
+      }
+
+      const { storage, keyProvider } = openArchive();
+      const content = await downloadS3Logs.openLogFile(
+        storage,
+        key,
+        keyProvider
+      );
+      const name = key.slice(key.lastIndexOf("/") + 1).replace(/\.gz$/, "");
+
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      res.setHeader("X-Content-Type-Options", "nosniff");
+      res.setHeader(
+        "Content-Disposition",
+        `${query.get("download") ? "attachment" : "inline"}; filename="${name.replace(/"/g, "")}"`
+      );
+      await new Promise((resolve) => {
+        content.on("error", (err) => {
+          res.destroy(err);
+          resolve();
+        });
+        content.on("end", resolve);
+        content.pipe(res);
+      });
+    },
+  };
+
+  async function lognexusLogViewer(req, res, next) {
+    const [path, search] = (req.url || "/").split(/\?(.*)/s);
+    const route = routes[path === "" ? "/" : path];
+    if (!route) {
+      return next ? next() : _send(res, 404, { error: "Not found" });
+    }
+
+    try {
+      if (options.authorize && !(await options.authorize(req))) {
+        return _send(res, 403, { error: "Forbidden" });
+      }
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        res.setHeader("Allow", "GET");
+        return _send(res, 405, { error: "Method not allowed" });
+      }
+      await route(req, res, new URLSearchParams(search || ""));
+    } catch (err) {
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        const missing = err.code === "ENOENT" || err.name === "NoSuchKey";
+        _send(res, missing ? 404 : 500, { error: err.message });
+      }
+    }
+  }
+
+  lognexusLogViewer.transport = transport;
+  return lognexusLogViewer;
+}
+
+/**
+ * Builds the filter of an event stream from its query string: a minimum
+ * level, a namespace wildcard ('payments:*'), a request ID and a
+ * case-insensitive text
+ * @private
+ */
+function _createFilter(query, levels) {
+  const match = {};
+  if (query.get("namespace")) {
+    match.namespace = wildcardToRegExp(query.get("namespace"));
+  }
+  if (query.get("requestId")) {
+    match.requestId = query.get("requestId");
+  }
+
+  const matches = queryLogs.createMatcher({
+    level: query.get("level") || undefined,
+    levels,
+    match: Object.keys(match).length ? match : undefined,
+  });
+  const text = (query.get("q") || "").toLowerCase();
+
+  return (entry, line) =>
+    matches(entry, line) && (!text || line.toLowerCase().includes(text));
+}
+
+/**
+ * @private
+ */
+function _send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+module.exports = {
+  ViewerTransport,
+  createLogViewer,
+};
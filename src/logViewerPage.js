@@ -0,0 +1,325 @@
+/**
+ * The single page of the log viewer. It has no dependencies and loads
+ * nothing from other origins: styles and script are inline, allowed by the
+ * nonce of the page's Content Security Policy, and every value from a log
+ * entry is inserted as text.
+ */
+
+// rows kept in the page; older ones are removed as new ones arrive
+const MAX_ROWS = 2000;
+
+const STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 13px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; background: #111418; color: #d8dee4; }
+  header { position: sticky; top: 0; z-index: 1; display: flex; flex-wrap: wrap; gap: 6px; align-items: center; padding: 8px; background: #1b2027; border-bottom: 1px solid #2d333b; }
+  header h1 { margin: 0 8px 0 0; font-size: 14px; }
+  input, select, button { font: inherit; color: inherit; background: #22272e; border: 1px solid #3d444d; border-radius: 4px; padding: 3px 6px; }
+  button { cursor: pointer; }
+  button.active { background: #2f4a6d; border-color: #4b6a94; }
+  #status { margin-left: auto; color: #8b949e; }
+  main { padding: 4px 8px; }
+  .row { display: grid; grid-template-columns: 190px 60px 160px 1fr; gap: 8px; padding: 1px 0; border-bottom: 1px solid #1e242b; cursor: pointer; white-space: pre-wrap; word-break: break-word; }
+  .row:hover { background: #1b2027; }
+  .level-error, .level-fatal { color: #ff7b72; }
+  .level-warn { color: #e3b341; }
+  .level-info { color: #7ee787; }
+  .level-http { color: #79c0ff; }
+  .level-debug, .level-verbose, .level-silly { color: #8b949e; }
+  .request { color: #d2a8ff; text-decoration: underline dotted; }
+  .details { grid-column: 1 / -1; margin: 4px 0 6px; padding: 6px; background: #1b2027; border-radius: 4px; }
+  .notice { color: #8b949e; padding: 4px 0; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { text-align: left; padding: 2px 8px 2px 0; border-bottom: 1px solid #1e242b; }
+  [hidden] { display: none !important; }
+`;
+
+const SCRIPT = `
+(function () {
+  var config = JSON.parse(document.getElementById("config").textContent);
+  var $ = function (id) { return document.getElementById(id); };
+  var filters = { level: $("level"), namespace: $("namespace"), requestId: $("requestId"), q: $("q") };
+  var live = $("live"), archive = $("archive"), files = $("files");
+  var source = null, paused = false, queued = [], timer = null, view = "live";
+
+  config.levels.forEach(function (level) {
+    var option = document.createElement("option");
+    option.value = level;
+    option.textContent = level + " and above";
+    filters.level.appendChild(option);
+  });
+
+  function query() {
+    var params = new URLSearchParams();
+    Object.keys(filters).forEach(function (name) {
+      if (filters[name].value.trim()) params.set(name, filters[name].value.trim());
+    });
+    return params.toString();
+  }
+
+  function setStatus(text) { $("status").textContent = text; }
+
+  function text(tag, className, value) {
+    var element = document.createElement(tag);
+    if (className) element.className = className;
+    element.textContent = value === undefined || value === null ? "" : String(value);
+    return element;
+  }
+
+  function render(entry) {
+    var row = document.createElement("div");
+    row.className = "row";
+    row.appendChild(text("span", "", entry.timestamp));
+    row.appendChild(text("span", "level-" + entry.level, entry.level));
+    row.appendChild(text("span", "", entry.namespace));
+    var message = text("span", "", typeof entry.message === "string" ? entry.message : JSON.stringify(entry.message));
+    if (entry.requestId) {
+      var request = text("span", "request", " " + entry.requestId);
+      request.title = "Show this request only";
+      request.addEventListener("click", function (event) {
+        event.stopPropagation();
+        filters.requestId.value = entry.requestId;
+        changed();
+      });
+      message.appendChild(request);
+    }
+    row.appendChild(message);
+    row.addEventListener("click", function () {
+      var details = row.querySelector(".details");
+      if (details) return details.remove();
+      row.appendChild(text("pre", "details", JSON.stringify(entry, null, 2)));
+    });
+    return row;
+  }
+
+  function append(container, entries) {
+    var atBottom = window.innerHeight + window.scrollY >= document.body.scrollHeight - 40;
+    var fragment = document.createDocumentFragment();
+    entries.forEach(function (entry) { fragment.appendChild(render(entry)); });
+    container.appendChild(fragment);
+    while (container.childElementCount > ${MAX_ROWS}) container.firstChild.remove();
+    if (atBottom && container === live) window.scrollTo(0, document.body.scrollHeight);
+  }
+
+  function notice(container, message) {
+    container.appendChild(text("div", "notice", message));
+  }
+
+  function connect() {
+    if (source) source.close();
+    live.textContent = "";
+    queued = [];
+    source = new EventSource("events?" + query());
+    source.onopen = function () { setStatus(paused ? "paused" : "live"); };
+    source.onerror = function () { setStatus("reconnecting…"); };
+    source.onmessage = function (event) {
+      var entry = JSON.parse(event.data);
+      if (paused) {
+        queued.push(entry);
+        if (queued.length > ${MAX_ROWS}) queued.shift();
+        $("pause").textContent = "Resume (" + queued.length + ")";
+      } else {
+        append(live, [entry]);
+      }
+    };
+    source.addEventListener("dropped", function (event) {
+      notice(live, event.data + " entries skipped: the connection could not keep up");
+    });
+    source.addEventListener("closed", function () {
+      source.close();
+      setStatus("logger closed");
+    });
+  }
+
+  function matches(entry) {
+    var minimum = config.levels.indexOf(filters.level.value);
+    if (minimum !== -1 && !(config.levels.indexOf(entry.level) !== -1 && config.levels.indexOf(entry.level) <= minimum)) return false;
+    var namespace = filters.namespace.value.trim();
+    if (namespace) {
+      var pattern = new RegExp("^" + namespace.split("*").map(function (part) {
+        return part.replace(/[.+?^$\\{\\}()|[\\]\\\\]/g, "\\\\$&");
+      }).join(".*") + "$");
+      if (!pattern.test(entry.namespace || "")) return false;
+    }
+    var requestId = filters.requestId.value.trim();
+    if (requestId && entry.requestId !== requestId) return false;
+    var needle = filters.q.value.trim().toLowerCase();
+    return !needle || JSON.stringify(entry).toLowerCase().indexOf(needle) !== -1;
+  }
+
+  var opened = null;
+  function showFile(key) {
+    opened = key;
+    archive.textContent = "";
+    setStatus("loading " + key + "…");
+    fetch("file?key=" + encodeURIComponent(key)).then(function (response) {
+      if (!response.ok) return response.json().then(function (body) { throw new Error(body.error); });
+      return response.text();
+    }).then(function (content) {
+      var entries = [];
+      content.split("\\n").forEach(function (line) {
+        if (!line.trim()) return;
+        var entry;
+        try { entry = JSON.parse(line); } catch (error) { entry = null; }
+        if (!entry || typeof entry !== "object") entry = { message: line };
+        if (matches(entry)) entries.push(entry);
+      });
+      if (entries.length > ${MAX_ROWS}) {
+        notice(archive, "Showing the last ${MAX_ROWS} of " + entries.length + " matching entries; download the file for all of them.");
+        entries = entries.slice(-${MAX_ROWS});
+      }
+      append(archive, entries);
+      setStatus(key + ": " + entries.length + " entries");
+    }).catch(function (error) { setStatus(error.message); });
+  }
+
+  function listFiles() {
+    var params = new URLSearchParams();
+    if ($("from").value) params.set("from", new Date($("from").value).toISOString());
+    if ($("to").value) params.set("to", new Date($("to").value).toISOString());
+    setStatus("listing…");
+    fetch("files?" + params).then(function (response) {
+      return response.json().then(function (body) {
+        if (!response.ok) throw new Error(body.error);
+        return body;
+      });
+    }).then(function (body) {
+      var rows = files.querySelector("tbody");
+      rows.textContent = "";
+      body.files.forEach(function (file) {
+        var row = document.createElement("tr");
+        row.appendChild(text("td", "", file.start || "-"));
+        row.appendChild(text("td", "", Math.ceil(file.size / 1024) + " KB"));
+        row.appendChild(text("td", "", file.key));
+        var actions = document.createElement("td");
+        var open = text("button", "", "View");
+        open.addEventListener("click", function () { showFile(file.key); });
+        var download = text("a", "", "Download");
+        download.href = "file?download=1&key=" + encodeURIComponent(file.key);
+        actions.appendChild(open);
+        actions.appendChild(text("span", "", " "));
+        actions.appendChild(download);
+        row.appendChild(actions);
+        rows.appendChild(row);
+      });
+      setStatus(body.files.length + " files in " + body.prefix);
+    }).catch(function (error) { setStatus(error.message); });
+  }
+
+  function changed() {
+    clearTimeout(timer);
+    timer = setTimeout(function () {
+      if (view === "live") connect();
+      else if (opened) showFile(opened);
+    }, 300);
+  }
+
+  function show(name) {
+    view = name;
+    $("tab-live").classList.toggle("active", name === "live");
+    $("tab-archive").classList.toggle("active", name === "archive");
+    live.hidden = name !== "live";
+    $("pause").hidden = name !== "live";
+    archive.hidden = files.hidden = $("range").hidden = name !== "archive";
+    if (name === "live") setStatus(paused ? "paused" : "live");
+    else if (!files.querySelector("tr td")) listFiles();
+  }
+
+  Object.keys(filters).forEach(function (name) {
+    filters[name].addEventListener("input", changed);
+  });
+  $("pause").addEventListener("click", function () {
+    paused = !paused;
+    this.textContent = paused ? "Resume (0)" : "Pause";
+    if (!paused) {
+      append(live, queued);
+      queued = [];
+    }
+    setStatus(paused ? "paused" : "live");
+  });
+  $("clear").addEventListener("click", function () {
+    (view === "live" ? live : archive).textContent = "";
+  });
+  $("tab-live").addEventListener("click", function () { show("live"); });
+  $("tab-archive").addEventListener("click", function () { show("archive"); });
+  $("list").addEventListener("click", listFiles);
+  $("tab-archive").hidden = !config.archive;
+
+  connect();
+})();
+`;
+
+/**
+ * Renders the viewer page
+ * @param {Object} options - Page options
+ * @param {String} options.title - Page title
+ * @param {Array} options.levels - Level names, most severe first
+ * @param {Boolean} options.archive - Whether archived files can be browsed
+ * @param {String} options.nonce - Nonce of the inline style and script
+ * @returns {String} - HTML document
+ */
+function renderPage(options) {
+  const title = _escapeHtml(options.title);
+  // '<' is escaped so that no value can close the script element
+  const config = JSON.stringify({
+    levels: options.levels,
+    archive: options.archive,
+  }).replace(/</g, "\\u003c");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style nonce="${options.nonce}">${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>${title}</h1>
+  <button id="tab-live" class="active">Live</button>
+  <button id="tab-archive">Archive</button>
+  <select id="level" title="Minimum level"><option value="">all levels</option></select>
+  <input id="namespace" placeholder="namespace (payments:*)">
+  <input id="requestId" placeholder="request ID">
+  <input id="q" placeholder="text">
+  <button id="pause">Pause</button>
+  <button id="clear">Clear</button>
+  <span id="range" hidden>
+    <input id="from" type="datetime-local" title="From">
+    <input id="to" type="datetime-local" title="To">
+    <button id="list">List files</button>
+  </span>
+  <span id="status"></span>
+</header>
+<main>
+  <div id="live"></div>
+  <table id="files" hidden><thead><tr><th>Start</th><th>Size</th><th>File</th><th></th></tr></thead><tbody></tbody></table>
+  <div id="archive" hidden></div>
+</main>
+<script type="application/json" id="config">${config}</script>
+<script nonce="${options.nonce}">${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * @private
+ */
+function _escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+}
+
+module.exports = {
+  renderPage,
+};
@@ -0,0 +1,351 @@
+const winston = require("winston");
+
+const LEVEL = Symbol.for("level");
+
+/**
+ * Default latency buckets in seconds
+ */
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/**
+ * Creates an in-process metrics registry holding counters, gauges and
+ * histograms, and exposing them in the Prometheus text format
+ * @param {Object} options - Registry options
+ * @param {String} options.prefix - Prefix of every metric name (default: 'lognexus_')
+ * @returns {Object} - Registry
+ */
+function createRegistry(options = {}) {
+  const prefix = options.prefix === undefined ? "lognexus_" : options.prefix;
+  const metrics = new Map();
+
+  const register = (type, definition, extra = {}) => {
+    const name = prefix + definition.name;
+    const existing = metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(
+          `Metric "${name}" is already registered as a ${existing.type}.`
+        );
+      }
+      return existing;
+    }
+
+    const metric = {
+      name,
+      type,
+      help: definition.help || name,
+      labelNames: definition.labelNames || [],
+      values: new Map(),
+      ...extra,
+    };
+    metrics.set(name, metric);
+    return metric;
+  };
+
+  /**
+   * Registers (or returns) a counter
+   * @param {Object} definition - { name, help, labelNames }
+   * @returns {Object} - Counter with `inc(labels, value)`
+   */
+  function counter(definition) {
+    const metric = register("counter", definition);
+    return {
+      inc(labels = {}, value = 1) {
+        const entry = _entry(metric, labels, () => ({ value: 0 }));
+        entry.value += value;
+      },
+    };
+  }
+
+  /**
+   * Registers (or returns) a gauge
+   * @param {Object} definition - { name, help, labelNames }
+   * @returns {Object} - Gauge with `set(labels, value)` and `inc(labels, value)`
+   */
+  function gauge(definition) {
+    const metric = register("gauge", definition);
+    return {
+      set(labels = {}, value = 0) {
+        _entry(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      inc(labels = {}, value = 1) {
+        _entry(metric, labels, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+
+  /**
+   * Registers (or returns) a histogram
+   * @param {Object} definition - { name, help, labelNames, buckets }
+   * @returns {Object} - Histogram with `observe(labels, value)`
+   */
+  function histogram(definition) {
+    const buckets = [...(definition.buckets || DEFAULT_BUCKETS)].sort(
+      (a, b) => a - b
+    );
+    const metric = register("histogram", definition, { buckets });
+    return {
+      observe(labels = {}, value) {
+        const entry = _entry(metric, labels, () => ({
+          counts: metric.buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        }));
+        metric.buckets.forEach((bound, index) => {
+          if (value <= bound) {
+            entry.counts[index]++;
+          }
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+    };
+  }
+
+  /**
+   * Registers a metric whose values are read when the metrics are collected,
+   * e.g. from a component's own statistics
+   * @param {Object} definition - { name, help, type ('counter' or 'gauge') }
+   * @param {Function} collectFn - Function returning an array of { labels, value }
+   */
+  function collect(definition, collectFn) {
+    const metric = register(definition.type || "gauge", definition);
+    metric.collect = collectFn;
+  }
+
+  /**
+   * Returns every metric in the Prometheus text exposition format
+   * @returns {String} - Metrics text
+   */
+  function metricsText() {
+    const lines = [];
+    for (const metric of metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${_escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const { labels, value } of _values(metric)) {
+        if (metric.type !== "histogram") {
+          lines.push(`${metric.name}${_labels(labels)} ${_number(value)}`);
+          continue;
+        }
+
+        metric.buckets.forEach((bound, index) => {
+          lines.push(
+            `${metric.name}_bucket${_labels({
+              ...labels,
+              le: _number(bound),
+            })} ${value.counts[index]}`
+          );
+        });
+        lines.push(
+          `${metric.name}_bucket${_labels({ ...labels, le: "+Inf" })} ${
+            value.count
+          }`
+        );
+        lines.push(`${metric.name}_sum${_labels(labels)} ${value.sum}`);
+        lines.push(`${metric.name}_count${_labels(labels)} ${value.count}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Returns every metric as a plain object, keyed by metric name
+   * @returns {Object} - { [name]: { type, help, values: [{ labels, value }] } }
+   */
+  function getStats() {
+    const stats = {};
+    for (const metric of metrics.values()) {
+      stats[metric.name] = {
+        type: metric.type,
+        help: metric.help,
+        values: _values(metric).map(({ labels, value }) => ({
+          labels,
+          value:
+            metric.type === "histogram"
+              ? {
+                  count: value.count,
+                  sum: value.sum,
+                  buckets: metric.buckets.reduce(
+                    (buckets, bound, index) => ({
+                      ...buckets,
+                      [bound]: value.counts[index],
+                    }),
+                    {}
+                  ),
+                }
+              : value,
+        })),
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Creates a request handler serving the metrics to a Prometheus scraper.
+   * It can be mounted on an Express app or router, or called from a plain
+   * http server.
+   * @param {Object} handlerOptions - Handler options
+   * @param {Function|Boolean} handlerOptions.authorize - Function (req) returning (a promise of) whether the request is allowed; required, or false to allow every request
+   * @returns {Function} - Request handler (req, res, next)
+   * @throws Will throw an error without an authorize option
+   */
+  function handler(handlerOptions = {}) {
+    // the metrics reveal traffic, error rates and upload failures, so
+    // publishing them to every request has to be a deliberate choice
+    if (
+      typeof handlerOptions.authorize !== "function" &&
+      handlerOptions.authorize !== false
+    ) {
+      throw new Error(
+        "The metrics handler needs an authorize function (or authorize: false to allow every request)."
+      );
+    }
+
+    return async function lognexusMetrics(req, res, next) {
+      const path = (req.url || "/").split("?")[0];
+      if (path !== "/" && path !== "") {
+        return next ? next() : _send(res, 404, "Not found\n");
+      }
+
+      try {
+        if (
+          handlerOptions.authorize &&
+          !(await handlerOptions.authorize(req))
+        ) {
+          return _send(res, 403, "Forbidden\n");
+        }
+        if (req.method !== "GET" && req.method !== "HEAD") {
+          res.setHeader("Allow", "GET");
+          return _send(res, 405, "Method not allowed\n");
+        }
+        return _send(res, 200, metricsText());
+      } catch (err) {
+        return _send(res, 500, `${err.message}\n`);
+      }
+    };
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    collect,
+    metrics: metricsText,
+    getStats,
+    handler,
+  };
+}
+
+/**
+ * Creates a Winston format counting the entries that are logged, per level
+ * @param {Object} registry - Registry returned by createRegistry
+ * @returns {Object} - Winston format instance
+ */
+function format(registry) {
+  const entries = registry.counter({
+    name: "log_entries_total",
+    help: "Log entries written, by level",
+    labelNames: ["level"],
+  });
+  return winston.format((info) => {
+    entries.inc({ level: info[LEVEL] || info.level });
+    return info;
+  })();
+}
+
+/**
+ * Returns the value entry of a label set, creating it on first use
+ * @private
+ */
+function _entry(metric, labels, create) {
+  const key = JSON.stringify(metric.labelNames.map((name) => labels[name]));
+  let entry = metric.values.get(key);
+  if (!entry) {
+    entry = create();
+    entry.labels = _pickLabels(metric.labelNames, labels);
+    metric.values.set(key, entry);
+  }
+  return entry;
+}
+
+/**
+ * @private
+ */
+function _values(metric) {
+  if (metric.collect) {
+    return (metric.collect() || []).map(({ labels = {}, value }) => ({
+      labels: _pickLabels(metric.labelNames, labels, true),
+      value,
+    }));
+  }
+
+  return [...metric.values.values()].map((entry) => ({
+    labels: entry.labels,
+    value: metric.type === "histogram" ? entry : entry.value,
+  }));
+}
+
+/**
+ * @private
+ */
+function _pickLabels(labelNames, labels, all = false) {
+  const names = all && !labelNames.length ? Object.keys(labels) : labelNames;
+  return names.reduce((picked, name) => {
+    if (labels[name] !== undefined && labels[name] !== null) {
+      picked[name] = String(labels[name]);
+    }
+    return picked;
+  }, {});
+}
+
+/**
+ * @private
+ */
+function _labels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/\n/g, "\\n")
+        .replace(/"/g, '\\"')}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * @private
+ */
+function _escapeHelp(help) {
+  return String(help).replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+}
+
+/**
+ * @private
+ */
+function _number(value) {
+  if (value === Infinity) {
+    return "+Inf";
+  }
+  if (value === -Infinity) {
+    return "-Inf";
+  }
+  return String(Number(value));
+}
+
+/**
+ * @private
+ */
+function _send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.end(body);
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry,
+  format,
+};
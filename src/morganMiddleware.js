@@ -1,27 +1,209 @@
 const morgan = require("morgan");
+const requestContext = require("./requestContext");
+const { CATEGORIES } = require("./routes");
+const { createStatusLevelMapper } = require("./utils");
+
+// set by framework adapters on the raw request: a function returning the
+// route pattern matched by the framework's router
+const ROUTE = Symbol("lognexus.route");
 
 /**
  * Creates a Morgan middleware instance configured to use the provided logger
- * @param {String} format - Morgan log format string
+ * @param {String} format - Morgan log format string (ignored in structured mode)
  * @param {Object} logger - Winston logger instance
+ * @param {Object} options - Additional middleware options
+ * @param {Object} options.requestContext - Request context options (header, echoHeader, generateId)
+ * @param {Boolean} options.structured - Log each request as an object instead of a formatted string
+ * @param {Object|Function} options.statusLevels - Level per status class ('5xx', '4xx', ..., 'default') or a function (status, req, res) returning the level
+ * @param {Array} options.skipPaths - Paths (strings or regular expressions) that are not logged
+ * @param {Function} options.skip - Custom skip function (req, res)
+ * @param {String} options.namespace - Namespace of access log entries (default: 'http')
+ * @param {Number} options.sampleRate - Fraction of successful (< 400) requests that are logged (default: 1)
+ * @param {Object} options.metrics - Metrics registry receiving request counts and latencies (see metrics.createRegistry)
+ * @param {Array} options.latencyBuckets - Latency histogram buckets in seconds
  * @returns {Function} - Configured Morgan middleware
  */
-function create(format, logger) {
+function create(format, logger, options = {}) {
   const logFormat =
     format ||
     ":date[iso] :method :url :status :response-time ms :referrer :remote-addr :user-agent :remote-user";
+  const formatLine = options.structured ? null : _getFormatFunction(logFormat);
+  const getLevel = createStatusLevelMapper(options.statusLevels);
+  const skipPaths = options.skipPaths || [];
+  const namespace = options.namespace || "http";
+  const category = CATEGORIES.access;
+  const sampleRate =
+    options.sampleRate === undefined ? 1 : Number(options.sampleRate);
+
+  const recordRequest = options.metrics
+    ? _createRequestMetrics(options.metrics, options.latencyBuckets)
+    : null;
+
+  const contextMiddleware = requestContext.middleware(
+    options.requestContext || {}
+  );
+
+  // Morgan writes the line from a response `finish` listener, which may run
+  // outside of the request's async context, so log from the format function
+  // where the request is still at hand.
+  const accessLogger = morgan(
+    (tokens, req, res) => {
+      if (!logger) {
+        return null;
+      }
+
+      const entry = buildAccessEntry(tokens, req, res);
+      const level = getLevel(entry.status, req, res);
 
-  return morgan(logFormat, {
-    stream: {
-      write: (message) => {
-        if (logger) {
-          logger.info(message && message.trim());
+      requestContext.runForRequest(req, () => {
+        if (formatLine) {
+          const line = formatLine(tokens, req, res);
+          if (line != null) {
+            logger.log(level, String(line).trim(), { namespace, category });
+          }
+          return;
         }
-      },
+
+        logger.log(
+          level,
+          `${entry.method} ${entry.url} ${entry.status} ${entry.responseTime} ms`,
+          { ...entry, namespace, category }
+        );
+      });
+      return null;
     },
+    {
+      skip: (req, res) =>
+        _isSkippedPath(req, skipPaths) ||
+        (typeof options.skip === "function" && options.skip(req, res)) ||
+        // failed requests are always logged
+        (sampleRate < 1 && res.statusCode < 400 && Math.random() >= sampleRate),
+    }
+  );
+
+  return function lognexusMorgan(req, res, next) {
+    // measured for every request, including skipped and sampled ones
+    if (recordRequest) {
+      recordRequest(req, res);
+    }
+    contextMiddleware(req, res, () => accessLogger(req, res, next));
+  };
+}
+
+/**
+ * Creates the function recording the count and latency of a request once
+ * its response has been sent (or the connection closed)
+ * @private
+ */
+function _createRequestMetrics(registry, buckets) {
+  const labelNames = ["method", "route", "status"];
+  const requests = registry.counter({
+    name: "http_requests_total",
+    help: "HTTP requests, by method, route and status",
+    labelNames,
   });
+  const duration = registry.histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request latency in seconds, by method, route and status",
+    labelNames,
+    buckets,
+  });
+
+  return (req, res) => {
+    const started = process.hrtime.bigint();
+    let recorded = false;
+
+    const record = () => {
+      if (recorded) {
+        return;
+      }
+      recorded = true;
+
+      const labels = {
+        method: req.method,
+        route: _routeOf(req),
+        // a response closed before its headers went out has no real status
+        status: res.headersSent ? res.statusCode : 0,
+      };
+      requests.inc(labels);
+      duration.observe(labels, Number(process.hrtime.bigint() - started) / 1e9);
+    };
+
+    res.once("finish", record);
+    res.once("close", record);
+  };
+}
+
+/**
+ * Returns the route pattern of a request ('/users/:id') rather than its URL,
+ * which would give every ID its own series
+ * @private
+ */
+function _routeOf(req) {
+  if (typeof req[ROUTE] === "function") {
+    return req[ROUTE]() || "";
+  }
+  if (req.route && req.route.path) {
+    return `${req.baseUrl || ""}${req.route.path}`;
+  }
+  return req.routerPath || (req.routeOptions && req.routeOptions.url) || "";
+}
+
+/**
+ * Builds the structured access log fields for a finished request
+ * @param {Object} tokens - Morgan tokens
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @returns {Object} - Access log fields
+ */
+function buildAccessEntry(tokens, req, res) {
+  const responseTime = parseFloat(tokens["response-time"](req, res));
+  const contentLength = parseInt(res.getHeader("content-length"), 10);
+
+  return {
+    method: req.method,
+    url: req.originalUrl || req.url,
+    route: _routeOf(req) || undefined,
+    status: res.headersSent || res.finished ? res.statusCode : undefined,
+    responseTime: isNaN(responseTime) ? undefined : responseTime,
+    contentLength: isNaN(contentLength) ? undefined : contentLength,
+    remoteAddr: tokens["remote-addr"](req, res),
+    userAgent: req.headers["user-agent"],
+    referrer: req.headers.referer || req.headers.referrer,
+  };
+}
+
+/**
+ * Resolves a Morgan format name, format string or function into a format function
+ * @param {String|Function} format - Morgan format
+ * @returns {Function} - Format function
+ * @private
+ */
+function _getFormatFunction(format) {
+  const fmt = (typeof format === "string" && morgan[format]) || format;
+  return typeof fmt === "function" ? fmt : morgan.compile(fmt);
+}
+
+/**
+ * Checks whether the request path matches one of the skipped paths
+ * @param {Object} req - HTTP request
+ * @param {Array} skipPaths - Strings (exact match) or regular expressions
+ * @returns {Boolean} - Whether the request should not be logged
+ * @private
+ */
+function _isSkippedPath(req, skipPaths) {
+  if (!skipPaths.length) {
+    return false;
+  }
+
+  const path = (req.originalUrl || req.url || "").split("?")[0];
+  return skipPaths.some((skipPath) =>
+    skipPath instanceof RegExp ? skipPath.test(path) : skipPath === path
+  );
 }
 
 module.exports = {
+  ROUTE,
   create,
+  buildAccessEntry,
 };
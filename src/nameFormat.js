@@ -0,0 +1,194 @@
+/**
+ * Helpers for the strftime-style `nameFormat` used to name log files
+ * (e.g. '%Y-%m-%d-%H-%M-production-error.log'). All dates are UTC, matching
+ * the names produced by the S3 stream.
+ */
+
+const { parseDuration } = require("./utils");
+
+const SPECIFIERS = {
+  Y: (date) => String(date.getUTCFullYear()),
+  y: (date) => _pad(date.getUTCFullYear() % 100, 2),
+  m: (date) => _pad(date.getUTCMonth() + 1, 2),
+  d: (date) => _pad(date.getUTCDate(), 2),
+  H: (date) => _pad(date.getUTCHours(), 2),
+  M: (date) => _pad(date.getUTCMinutes(), 2),
+  S: (date) => _pad(date.getUTCSeconds(), 2),
+  L: (date) => _pad(date.getUTCMilliseconds(), 3),
+  j: (date) =>
+    _pad(
+      Math.floor(
+        (date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000
+      ) + 1,
+      3
+    ),
+  s: (date) => String(Math.floor(date.getTime() / 1000)),
+  "%": () => "%",
+};
+
+/**
+ * Formats a name from a strftime-style format
+ * @param {String} format - Name format
+ * @param {Date|Number} date - Date to format (UTC)
+ * @returns {String} - Formatted name
+ */
+function formatName(format, date = new Date()) {
+  const value = date instanceof Date ? date : new Date(date);
+  return String(format).replace(/%(.)/g, (match, specifier) =>
+    SPECIFIERS[specifier] ? SPECIFIERS[specifier](value) : match
+  );
+}
+
+/**
+ * Builds the object key for a log file from the folder and name format
+ * @param {String} folder - Folder prefix
+ * @param {String} format - Name format
+ * @param {Date|Number} date - File start date
+ * @returns {String} - Object key
+ */
+function buildKey(folder, format, date) {
+  // make sure there aren't multiple trailing slashes on the folder name
+  const prefix = (folder ? `${folder}/` : "").replace(/\/+$/, "/");
+  return prefix + formatName(format, date);
+}
+
+/**
+ * Returns the name format log files are written with, as configured for the
+ * S3 stream
+ * @param {String} nameFormat - Explicit name format
+ * @param {String} appType - Application type of the default name format (default: APP_TYPE env var)
+ * @returns {String} - Name format
+ */
+function resolveNameFormat(nameFormat, appType) {
+  appType = appType || process.env.APP_TYPE || "development";
+  return (
+    nameFormat ||
+    process.env.S3_LOG_NAME_FORMAT ||
+    `%Y-%m-%d-%H-%M-${appType}-error.log`
+  );
+}
+
+/**
+ * Infers the time window a log file covers from its name and the rotation period
+ * @param {String} format - Name format
+ * @param {String} key - Object key
+ * @param {String|Number} rotateEvery - Rotation period (defaults to the configured one)
+ * @returns {Object|null} - { start, end } in milliseconds, or null when the name does not match
+ */
+function fileWindow(format, key, rotateEvery) {
+  const startedAt = parseName(format, key);
+  if (!startedAt) {
+    return null;
+  }
+
+  const period = parseDuration(
+    rotateEvery || process.env.S3_LOG_ROTATE_EVERY,
+    60 * 60 * 1000
+  );
+  return { start: startedAt.getTime(), end: startedAt.getTime() + period };
+}
+
+const PARSERS = {
+  Y: { pattern: "(\\d{4})", apply: (parts, v) => (parts.year = +v) },
+  y: { pattern: "(\\d{2})", apply: (parts, v) => (parts.year = 2000 + +v) },
+  m: { pattern: "(\\d{2})", apply: (parts, v) => (parts.month = +v - 1) },
+  d: { pattern: "(\\d{2})", apply: (parts, v) => (parts.day = +v) },
+  H: { pattern: "(\\d{2})", apply: (parts, v) => (parts.hour = +v) },
+  M: { pattern: "(\\d{2})", apply: (parts, v) => (parts.minute = +v) },
+  S: { pattern: "(\\d{2})", apply: (parts, v) => (parts.second = +v) },
+  L: { pattern: "(\\d{3})", apply: (parts, v) => (parts.millisecond = +v) },
+  j: { pattern: "(\\d{3})", apply: (parts, v) => (parts.dayOfYear = +v) },
+  s: { pattern: "(\\d+)", apply: (parts, v) => (parts.epoch = +v * 1000) },
+};
+
+/**
+ * Infers the start time of a log file from its name. Literal parts of the
+ * format that contain letters (app type, suffixes) match any text, so one
+ * format also covers files written by other services into the same folder.
+ * @param {String} format - Name format
+ * @param {String} name - File name or object key (folders before the name are ignored)
+ * @returns {Date|null} - File start time, or null when the name does not match
+ */
+function parseName(format, name) {
+  const { regex, fields } = _compile(format);
+  // compare as many trailing key segments as the format itself spans
+  const depth = String(format).split("/").length;
+  const baseName = String(name).split("/").slice(-depth).join("/");
+  const match = regex.exec(baseName);
+  if (!match || !fields.length) {
+    return null;
+  }
+
+  const parts = {
+    year: 1970,
+    month: 0,
+    day: 1,
+    hour: 0,
+    minute: 0,
+    second: 0,
+    millisecond: 0,
+  };
+  fields.forEach((field, index) =>
+    PARSERS[field].apply(parts, match[index + 1])
+  );
+
+  if (parts.epoch !== undefined) {
+    return new Date(parts.epoch);
+  }
+
+  const byDayOfYear = parts.dayOfYear !== undefined;
+  const time = Date.UTC(
+    parts.year,
+    byDayOfYear ? 0 : parts.month,
+    byDayOfYear ? parts.dayOfYear : parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+    parts.millisecond
+  );
+  return new Date(time);
+}
+
+/**
+ * Compiles a name format into a regular expression
+ * @private
+ */
+function _compile(format) {
+  const fields = [];
+  let source = "";
+
+  String(format)
+    .split(/(%.)/)
+    .forEach((token) => {
+      const specifier = token.length === 2 && token[0] === "%" && token[1];
+      if (specifier && PARSERS[specifier]) {
+        fields.push(specifier);
+        source += PARSERS[specifier].pattern;
+      } else if (specifier === "%") {
+        source += "%";
+      } else if (/[A-Za-z0-9]/.test(token)) {
+        source += ".*?";
+      } else {
+        source += token.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+      }
+    });
+
+  // files rotated within the resolution of the format get a '.1', '.2', ...
+  // suffix
+  return { regex: new RegExp(`^${source}(?:\\.\\d+)?$`), fields };
+}
+
+/**
+ * @private
+ */
+function _pad(value, length) {
+  return String(value).padStart(length, "0");
+}
+
+module.exports = {
+  formatName,
+  parseName,
+  buildKey,
+  resolveNameFormat,
+  fileWindow,
+};
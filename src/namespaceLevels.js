@@ -0,0 +1,193 @@
+const winston = require("winston");
+const { wildcardToRegExp } = require("./utils");
+
+const LEVEL = Symbol.for("level");
+
+/**
+ * Parses namespace level rules such as "payments:*=debug,db=warn"
+ * @param {String|Object|Array} spec - Rule string, { pattern: level } object or array of { pattern, level }
+ * @param {Object} levels - Level priorities used to validate the rules
+ * @returns {Array} - Rules ({ pattern, level, regex }) in declaration order
+ * @throws Will throw an error if a rule is malformed or names an unknown level
+ */
+function parseLevelRules(spec, levels = winston.config.npm.levels) {
+  if (!spec) {
+    return [];
+  }
+
+  let pairs;
+  if (Array.isArray(spec)) {
+    pairs = spec.map((rule) => [rule.pattern, rule.level]);
+  } else if (typeof spec === "object") {
+    pairs = Object.entries(spec);
+  } else {
+    pairs = String(spec)
+      .split(/[,\s]+/)
+      .filter(Boolean)
+      .map((rule) => {
+        const separator = rule.lastIndexOf("=");
+        if (separator <= 0) {
+          throw new Error(`Invalid log level rule "${rule}".`);
+        }
+        return [rule.slice(0, separator), rule.slice(separator + 1)];
+      });
+  }
+
+  return pairs.map(([pattern, level]) => {
+    const name = String(level).trim().toLowerCase();
+    if (levels[name] === undefined) {
+      throw new Error(`Unknown log level "${level}" for "${pattern}".`);
+    }
+    return {
+      pattern: String(pattern).trim(),
+      level: name,
+      regex: wildcardToRegExp(String(pattern).trim()),
+    };
+  });
+}
+
+/**
+ * Creates the controller deciding which level applies to each namespace.
+ * Later rules take precedence over earlier ones, and entries whose namespace
+ * matches no rule use the default level.
+ * @param {Object} options - Controller options
+ * @param {String} options.level - Default level (default: 'info')
+ * @param {String|Object|Array} options.rules - Namespace level rules (see parseLevelRules)
+ * @param {Object} options.levels - Level priorities (default: npm levels)
+ * @returns {Object} - Controller
+ */
+function createLevelController(options = {}) {
+  const levels = options.levels || winston.config.npm.levels;
+  let defaultLevel = options.level || "info";
+  let rules = parseLevelRules(options.rules, levels);
+  const cache = new Map();
+
+  const levelFor = (namespace) => {
+    const key = namespace || "";
+    if (!cache.has(key)) {
+      let level = defaultLevel;
+      for (const rule of rules) {
+        if (rule.regex.test(key)) {
+          level = rule.level;
+        }
+      }
+      cache.set(key, level);
+    }
+    return cache.get(key);
+  };
+
+  return {
+    levels,
+
+    /**
+     * Returns the level applied to a namespace
+     * @param {String} namespace - Namespace (e.g. 'payments:stripe')
+     * @returns {String} - Level name
+     */
+    levelFor,
+
+    /**
+     * Checks whether an entry at a level is logged for a namespace
+     * @param {String} level - Entry level
+     * @param {String} namespace - Entry namespace
+     * @returns {Boolean} - Whether the entry is logged
+     */
+    isEnabled(level, namespace) {
+      return levels[level] <= levels[levelFor(namespace)];
+    },
+
+    /**
+     * Returns the most verbose level any namespace may log at, which is the
+     * level the logger and its transports have to let through
+     * @returns {String} - Level name
+     */
+    mostVerbose() {
+      return [defaultLevel, ...rules.map((rule) => rule.level)].reduce(
+        (verbose, level) => (levels[level] > levels[verbose] ? level : verbose)
+      );
+    },
+
+    /**
+     * Returns the default level and the rules currently applied
+     * @returns {Object} - { level, rules: [{ pattern, level }] }
+     */
+    getLevels() {
+      return {
+        level: defaultLevel,
+        rules: rules.map(({ pattern, level }) => ({ pattern, level })),
+      };
+    },
+
+    /**
+     * Replaces the default level and/or the namespace rules
+     * @param {Object} changes - { level, rules }
+     */
+    setLevels(changes = {}) {
+      if (changes.level !== undefined) {
+        if (levels[changes.level] === undefined) {
+          throw new Error(`Unknown log level "${changes.level}".`);
+        }
+        defaultLevel = changes.level;
+      }
+      if (changes.rules !== undefined) {
+        rules = parseLevelRules(changes.rules, levels);
+      }
+      cache.clear();
+    },
+  };
+}
+
+/**
+ * Creates a Winston format dropping entries below their namespace's level
+ * @param {Object} controller - Controller returned by createLevelController
+ * @returns {Object} - Winston format instance
+ */
+function format(controller) {
+  return winston.format((info) =>
+    controller.isEnabled(info[LEVEL] || info.level, info.namespace)
+      ? info
+      : false
+  )();
+}
+
+/**
+ * Adds namespaced children and namespace-aware level checks to a logger.
+ * `logger.child('payments')` tags entries with `namespace: 'payments'`, and
+ * `.child('stripe')` on that child with 'payments:stripe'. Object arguments
+ * keep Winston's default behaviour.
+ * @param {Object} logger - Winston logger instance
+ * @param {Object} controller - Controller returned by createLevelController
+ * @returns {Object} - The same logger
+ */
+function attach(logger, controller) {
+  const baseChild = logger.child;
+  const baseIsLevelEnabled = logger.isLevelEnabled;
+
+  logger.child = function (options) {
+    if (typeof options !== "string") {
+      return baseChild.call(this, options);
+    }
+
+    const namespace = this.namespace ? `${this.namespace}:${options}` : options;
+    const child = baseChild.call(this, { namespace });
+    child.namespace = namespace;
+    return child;
+  };
+
+  logger.isLevelEnabled = function (level) {
+    return (
+      controller.isEnabled(level, this.namespace) &&
+      baseIsLevelEnabled.call(this, level)
+    );
+  };
+
+  logger.level = controller.mostVerbose();
+  return logger;
+}
+
+module.exports = {
+  parseLevelRules,
+  createLevelController,
+  format,
+  attach,
+};
@@ -0,0 +1,416 @@
+const http = require("http");
+const https = require("https");
+const { AsyncLocalStorage } = require("async_hooks");
+const requestContext = require("./requestContext");
+const { CATEGORIES } = require("./routes");
+const { wildcardToRegExp, createStatusLevelMapper } = require("./utils");
+
+// marks the http module while an instrumentation is installed, so that a
+// second one replaces the first instead of wrapping it
+const INSTRUMENTATION = Symbol.for("lognexus.outboundHttp");
+
+// set while Lognexus sends its own requests (S3 uploads, alert webhooks)
+// and while it logs, so that neither is logged as outbound traffic
+const internal = new AsyncLocalStorage();
+const untrackedClients = new WeakSet();
+
+/**
+ * Logs the requests made with `http.request`, `https.request` (and their
+ * `get` variants, so most HTTP clients) and the global `fetch`. Each entry
+ * carries the method, host, path, status, duration and bytes received, or
+ * the error, and is logged in the request context that was current when the
+ * call was made. Entries use the "outbound" namespace and category; header
+ * values and query strings go through redaction like every other field.
+ * @param {Object} logger - Winston logger instance
+ * @param {Object} options - Instrumentation options
+ * @param {String|Array} options.include - Host wildcards ('*.example.com', 'api:8080') that are logged; all hosts by default
+ * @param {String|Array} options.exclude - Host wildcards that are not logged
+ * @param {Array} options.headers - Request and response headers to log (as `requestHeaders` and `responseHeaders`)
+ * @param {Object|Function} options.statusLevels - Level per status class ('5xx', '4xx', ..., 'default') or a function (status)
+ * @param {String} options.errorLevel - Level of failed and timed out calls (default: 'error')
+ * @param {String} options.namespace - Namespace of the entries (default: 'outbound')
+ * @returns {Function} - Function removing the instrumentation
+ */
+function instrument(logger, options = {}) {
+  if (http[INSTRUMENTATION]) {
+    http[INSTRUMENTATION].restore();
+  }
+
+  const outboundLogger = logger.child({
+    namespace: options.namespace || "outbound",
+    category: CATEGORIES.outbound,
+  });
+  const isLogged = _createHostFilter(options.include, options.exclude);
+  const getLevel = createStatusLevelMapper(options.statusLevels);
+  const errorLevel = options.errorLevel || "error";
+  const headerNames = (options.headers || []).map((name) =>
+    String(name).toLowerCase()
+  );
+  const restorers = [];
+  let active = true;
+
+  const tracks = (hostname, host) =>
+    active && !internal.getStore() && isLogged(hostname, host);
+
+  const log = (call) => {
+    if (!active || !logger.writable) {
+      return;
+    }
+
+    const { method, host, path } = call;
+    const duration = Math.round(call.duration * 1000) / 1000;
+    const entry = {
+      method,
+      protocol: call.protocol,
+      host,
+      path,
+      status: call.status,
+      duration,
+      bytes: call.bytes,
+    };
+    if (headerNames.length) {
+      entry.requestHeaders = _pickHeaders(call.requestHeaders, headerNames);
+      entry.responseHeaders = _pickHeaders(call.responseHeaders, headerNames);
+    }
+
+    let level = getLevel(call.status);
+    let message = `${method} ${host}${path} ${call.status} ${duration} ms`;
+    if (call.error || call.timeout || call.status === undefined) {
+      level = errorLevel;
+      const outcome = call.timeout ? "timed out" : "failed";
+      message = `${method} ${host}${path} ${outcome} after ${duration} ms`;
+      if (call.error) {
+        entry.error = call.error;
+        message += `: ${call.error.message}`;
+      }
+      if (call.timeout) {
+        entry.timeout = true;
+      }
+    }
+
+    const write = () =>
+      internal.run(true, () => outboundLogger.log(level, message, entry));
+    if (call.context) {
+      requestContext.run(call.context, write);
+    } else {
+      write();
+    }
+  };
+
+  for (const [module, protocol] of [
+    [http, "http:"],
+    [https, "https:"],
+  ]) {
+    const originalRequest = module.request;
+    const originalGet = module.get;
+
+    const request = function (...args) {
+      const req = originalRequest.apply(this, args);
+      if (tracks(req.host, _hostOf(req, protocol))) {
+        _observeRequest(req, protocol, log);
+      }
+      return req;
+    };
+    // the original `get` calls the module's internal request function,
+    // bypassing the patched export
+    const get = function (...args) {
+      const req = module.request.apply(this, args);
+      req.end();
+      return req;
+    };
+
+    module.request = request;
+    module.get = get;
+    restorers.push(() => {
+      if (module.request === request) {
+        module.request = originalRequest;
+      }
+      if (module.get === get) {
+        module.get = originalGet;
+      }
+    });
+  }
+
+  if (typeof globalThis.fetch === "function") {
+    const originalFetch = globalThis.fetch;
+    const fetch = function (input, init) {
+      const target = active && _fetchTarget(input, init);
+      if (!target || !tracks(target.url.hostname, target.url.host)) {
+        return originalFetch.call(this, input, init);
+      }
+      return _observeFetch(originalFetch.call(this, input, init), target, log);
+    };
+
+    globalThis.fetch = fetch;
+    restorers.push(() => {
+      if (globalThis.fetch === fetch) {
+        globalThis.fetch = originalFetch;
+      }
+    });
+  }
+
+  /**
+   * Restores the original request functions that still point to this
+   * instrumentation. Calls in flight are no longer logged.
+   */
+  function restore() {
+    if (!active) {
+      return;
+    }
+    active = false;
+
+    for (const restoreModule of restorers) {
+      restoreModule();
+    }
+    if (http[INSTRUMENTATION] && http[INSTRUMENTATION].restore === restore) {
+      delete http[INSTRUMENTATION];
+    }
+  }
+
+  http[INSTRUMENTATION] = { restore };
+  return restore;
+}
+
+/**
+ * Runs a function whose outbound requests are not logged
+ * @param {Function} fn - Function to run
+ * @returns {*} - Whatever the function returns
+ */
+function untracked(fn) {
+  return internal.run(true, fn);
+}
+
+/**
+ * Excludes the requests sent by an AWS SDK client (including credential
+ * lookups) from outbound logging
+ * @param {Object} client - AWS SDK client (e.g. S3Client)
+ * @returns {Object} - The same client
+ */
+function untrackClient(client) {
+  if (client && client.middlewareStack && !untrackedClients.has(client)) {
+    untrackedClients.add(client);
+    client.middlewareStack.add(
+      (next) => (args) => untracked(() => next(args)),
+      {
+        step: "initialize",
+        name: "lognexusUntracked",
+      }
+    );
+  }
+  return client;
+}
+
+/**
+ * Follows a client request through its events without adding listeners,
+ * which would change how unhandled errors and unread responses behave, and
+ * logs it once it has completed or failed
+ * @private
+ */
+function _observeRequest(req, protocol, log) {
+  const started = process.hrtime.bigint();
+  const call = {
+    method: req.method,
+    protocol,
+    host: _hostOf(req, protocol),
+    path: req.path,
+    bytes: 0,
+    context: requestContext.getContext(),
+  };
+  let done = false;
+
+  const finish = () => {
+    if (done) {
+      return;
+    }
+    done = true;
+    call.duration = Number(process.hrtime.bigint() - started) / 1e6;
+    // headers may be set until the request is sent
+    call.requestHeaders = req.getHeaders();
+    log(call);
+  };
+
+  const emitRequest = req.emit;
+  req.emit = function (event, ...args) {
+    if (event === "response") {
+      _observeResponse(args[0], call, finish);
+    } else if (event === "timeout") {
+      call.timeout = true;
+    } else if (event === "error" && !call.error) {
+      call.error = args[0];
+      // an error after the headers aborts the response, which finishes it
+      if (call.status === undefined) {
+        finish();
+      }
+    } else if (event === "close" && call.status === undefined) {
+      // aborted before any response (e.g. destroyed on timeout)
+      finish();
+    }
+    return emitRequest.call(this, event, ...args);
+  };
+}
+
+/**
+ * @private
+ */
+function _observeResponse(res, call, finish) {
+  call.status = res.statusCode;
+  call.responseHeaders = res.headers;
+
+  const emitResponse = res.emit;
+  res.emit = function (event, ...args) {
+    if (event === "data") {
+      call.bytes += args[0].length;
+    } else if (event === "end") {
+      finish();
+    } else if (event === "error" || event === "aborted") {
+      call.error = call.error || args[0] || new Error("Response aborted");
+      finish();
+    } else if (event === "close") {
+      if (!res.complete) {
+        call.error = call.error || new Error("Response aborted");
+      }
+      finish();
+    }
+    return emitResponse.call(this, event, ...args);
+  };
+}
+
+/**
+ * Logs a fetch call once its response headers have arrived. The body is
+ * left to the caller, so the duration is the time to the headers and the
+ * size comes from Content-Length.
+ * @private
+ */
+function _observeFetch(pending, target, log) {
+  const started = process.hrtime.bigint();
+  const call = {
+    method: target.method,
+    protocol: target.url.protocol,
+    host: target.url.host,
+    path: `${target.url.pathname}${target.url.search}`,
+    requestHeaders: target.headers,
+    context: requestContext.getContext(),
+  };
+  const elapsed = () => Number(process.hrtime.bigint() - started) / 1e6;
+
+  return pending.then(
+    (response) => {
+      const length = parseInt(response.headers.get("content-length"), 10);
+      log({
+        ...call,
+        status: response.status,
+        bytes: isNaN(length) ? undefined : length,
+        responseHeaders: Object.fromEntries(response.headers),
+        duration: elapsed(),
+      });
+      return response;
+    },
+    (error) => {
+      const cause = (error && error.cause) || {};
+      log({
+        ...call,
+        error,
+        timeout:
+          (error && error.name === "TimeoutError") ||
+          /TIMEOUT/.test(cause.code || "") ||
+          undefined,
+        duration: elapsed(),
+      });
+      throw error;
+    }
+  );
+}
+
+/**
+ * Resolves the method, URL and headers of a fetch call; null when the input
+ * is not an absolute URL (fetch rejects it anyway)
+ * @private
+ */
+function _fetchTarget(input, init = {}) {
+  try {
+    const isRequest = typeof input === "object" && "url" in input;
+    const url = new URL(isRequest ? input.url : String(input));
+    const headers = new Headers(
+      init.headers || (isRequest ? input.headers : undefined)
+    );
+    return {
+      url,
+      method: String(
+        init.method || (isRequest && input.method) || "GET"
+      ).toUpperCase(),
+      headers: Object.fromEntries(headers),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the host of a client request with its port unless it is the
+ * protocol's default
+ * @private
+ */
+function _hostOf(req, protocol) {
+  const header = req.getHeader("host");
+  if (header) {
+    return String(header);
+  }
+  const port = req.socket && req.socket.remotePort;
+  const defaultPort = protocol === "https:" ? 443 : 80;
+  return port && port !== defaultPort ? `${req.host}:${port}` : req.host;
+}
+
+/**
+ * @private
+ */
+function _pickHeaders(headers, names) {
+  if (!headers) {
+    return undefined;
+  }
+  const picked = {};
+  for (const name of names) {
+    if (headers[name] !== undefined) {
+      picked[name] = headers[name];
+    }
+  }
+  return Object.keys(picked).length ? picked : undefined;
+}
+
+/**
+ * Creates the function telling whether calls to a host are logged. Patterns
+ * are matched against the host name and against host:port.
+ * @private
+ */
+function _createHostFilter(include, exclude) {
+  const included = _toPatterns(include);
+  const excluded = _toPatterns(exclude);
+
+  return (hostname, host) => {
+    const matches = (pattern) => pattern.test(hostname) || pattern.test(host);
+    if (included.length && !included.some(matches)) {
+      return false;
+    }
+    return !excluded.some(matches);
+  };
+}
+
+/**
+ * @private
+ */
+function _toPatterns(value) {
+  const list = typeof value === "string" ? value.split(",") : value || [];
+  return list
+    .map((pattern) =>
+      pattern instanceof RegExp ? pattern : String(pattern).trim()
+    )
+    .filter(Boolean)
+    .map((pattern) =>
+      pattern instanceof RegExp ? pattern : wildcardToRegExp(pattern)
+    );
+}
+
+module.exports = {
+  instrument,
+  untracked,
+  untrackClient,
+};
@@ -0,0 +1,257 @@
+const readline = require("readline");
+const { createDecompressor } = require("./decompress");
+const { resolveKeyProvider, createDecryptor } = require("./encryption");
+const { listLogFiles } = require("./archiveIndex");
+const { resolveStorage } = require("./storage");
+const { toTime } = require("./utils");
+
+const DEFAULT_LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  http: 3,
+  verbose: 4,
+  debug: 5,
+  silly: 6,
+};
+
+/**
+ * Searches archived logs without writing them to disk. Log files in the time
+ * window are streamed, decrypted, decompressed and parsed line by line, and matching
+ * entries are yielded in timestamp order.
+ *
+ * @async
+ * @generator
+ * @function queryLogs
+ * @param {Object} query - Query options
+ * @param {String} query.prefix - The S3 folder prefix (e.g., 'logs/service/')
+ * @param {Date|String|Number} query.from - Only entries at or after this time
+ * @param {Date|String|Number} query.to - Only entries at or before this time
+ * @param {String|Array} query.level - Minimum level ('warn' yields warn and error) or an exact list of levels
+ * @param {String|RegExp|Object|Function} query.match - Text or pattern searched in the raw line, field values to match ({ requestId: 'abc', status: /^5/ }) or a predicate (entry)
+ * @param {Array} query.fields - Fields to keep in every yielded entry (all by default)
+ * @param {Number} query.limit - Maximum number of entries to yield
+ * @param {String} query.nameFormat - Name format used to infer each file's time window (defaults to the configured `nameFormat`)
+ * @param {String|Number} query.rotateEvery - Rotation period used to infer each file's end time (defaults to the configured `rotateEvery`)
+ * @param {Object} query.levels - Level priorities (defaults to npm levels)
+ * @param {Object} query.awsConfig - AWS settings overriding the configured ones
+ * @param {Object} query.storage - Storage backend, or backend options such as { type: 'local', dir } (defaults to S3)
+ * @param {Object|Boolean} query.encryption - Key provider or key options decrypting encrypted files (defaults to the LOG_ENCRYPTION_KEY* env vars)
+ * @yields {Object} - Matching log entries
+ */
+async function* queryLogs(query = {}) {
+  if (!query.prefix) {
+    throw new Error("An S3 prefix is required.");
+  }
+
+  const storage = resolveStorage(query);
+  const keyProvider = resolveKeyProvider(query.encryption);
+
+  const from = toTime(query.from);
+  const to = toTime(query.to);
+  const limit = query.limit > 0 ? query.limit : Infinity;
+  const matches = createMatcher(query);
+
+  const files = (await listLogFiles(storage, query.prefix, query))
+    .filter(
+      ({ window }) =>
+        !window ||
+        ((to === null || window.start <= to) &&
+          (from === null || window.end > from))
+    )
+    .sort(
+      (a, b) =>
+        (a.window ? a.window.start : -Infinity) -
+          (b.window ? b.window.start : -Infinity) || a.key.localeCompare(b.key)
+    );
+
+  // Files are opened lazily: a file is only read once the merged output has
+  // reached its start time, so at most the overlapping files are open at once.
+  const open = [];
+  let next = 0;
+  let yielded = 0;
+
+  const openFile = async (file) => {
+    const entries = _readEntries(storage, file.key, keyProvider);
+    const cursor = { entries, current: await entries.next() };
+    if (!cursor.current.done) {
+      open.push(cursor);
+    }
+  };
+
+  try {
+    while (yielded < limit) {
+      let earliest = _earliest(open);
+
+      while (
+        next < files.length &&
+        (!earliest ||
+          !files[next].window ||
+          files[next].window.start <= earliest.current.value.time)
+      ) {
+        await openFile(files[next++]);
+        earliest = _earliest(open);
+      }
+
+      if (!earliest) {
+        break;
+      }
+
+      const { entry, line } = earliest.current.value;
+      earliest.current = await earliest.entries.next();
+      if (earliest.current.done) {
+        open.splice(open.indexOf(earliest), 1);
+      }
+
+      if (matches(entry, line)) {
+        yielded++;
+        yield _project(entry, query.fields);
+      }
+    }
+  } finally {
+    await Promise.all(open.map((cursor) => cursor.entries.return()));
+  }
+}
+
+/**
+ * Builds the predicate applied to every parsed entry
+ * @param {Object} query - Query options (from, to, level, match, levels)
+ * @returns {Function} - Predicate (entry, line)
+ */
+function createMatcher(query = {}) {
+  const from = toTime(query.from);
+  const to = toTime(query.to);
+  const levels = query.levels || DEFAULT_LEVELS;
+  const levelFilter = Array.isArray(query.level)
+    ? (level) => query.level.includes(level)
+    : query.level
+      ? (level) =>
+          levels[level] !== undefined && levels[level] <= levels[query.level]
+      : null;
+
+  const { match } = query;
+  let matchFilter = null;
+  if (typeof match === "function") {
+    matchFilter = (entry) => match(entry);
+  } else if (match instanceof RegExp) {
+    matchFilter = (entry, line) => match.test(line);
+  } else if (typeof match === "string") {
+    const needle = match.toLowerCase();
+    matchFilter = (entry, line) => line.toLowerCase().includes(needle);
+  } else if (match && typeof match === "object") {
+    matchFilter = (entry) =>
+      Object.keys(match).every((field) => {
+        const expected = match[field];
+        const actual = _getField(entry, field);
+        return expected instanceof RegExp
+          ? actual !== undefined && expected.test(String(actual))
+          : actual === expected;
+      });
+  }
+
+  return (entry, line) => {
+    if (from !== null || to !== null) {
+      const time = Date.parse(entry.timestamp);
+      if (isNaN(time)) {
+        return false;
+      }
+      if ((from !== null && time < from) || (to !== null && time > to)) {
+        return false;
+      }
+    }
+
+    if (levelFilter && !levelFilter(entry.level)) {
+      return false;
+    }
+
+    return !matchFilter || matchFilter(entry, line || JSON.stringify(entry));
+  };
+}
+
+/**
+ * Streams an object and yields its parsed JSON lines
+ * @private
+ */
+async function* _readEntries(storage, key, keyProvider) {
+  const body = await storage.get(key);
+  const decrypted = body.pipe(createDecryptor(keyProvider));
+  const input = decrypted.pipe(createDecompressor());
+  body.on("error", (err) => input.destroy(err));
+  decrypted.on("error", (err) => input.destroy(err));
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        // not written by the JSON format (e.g. a custom text format)
+        continue;
+      }
+      // JSON, but not an entry (e.g. a bare `null` or number)
+      if (!entry || typeof entry !== "object") {
+        continue;
+      }
+
+      const time = Date.parse(entry.timestamp);
+      yield { entry, line, time: isNaN(time) ? -Infinity : time };
+    }
+  } finally {
+    lines.close();
+    body.destroy();
+  }
+}
+
+/**
+ * @private
+ */
+function _earliest(open) {
+  let earliest = null;
+  for (const cursor of open) {
+    if (!earliest || cursor.current.value.time < earliest.current.value.time) {
+      earliest = cursor;
+    }
+  }
+  return earliest;
+}
+
+/**
+ * @private
+ */
+function _project(entry, fields) {
+  if (!fields || !fields.length) {
+    return entry;
+  }
+
+  const projected = {};
+  for (const field of fields) {
+    const value = _getField(entry, field);
+    if (value !== undefined) {
+      projected[field] = value;
+    }
+  }
+  return projected;
+}
+
+/**
+ * Reads a possibly nested field ('error.code')
+ * @private
+ */
+function _getField(entry, field) {
+  return String(field)
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== undefined && value !== null ? value[key] : undefined,
+      entry
+    );
+}
+
+queryLogs.createMatcher = createMatcher;
+
+module.exports = queryLogs;
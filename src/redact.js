@@ -0,0 +1,308 @@
+const winston = require("winston");
+
+const SPLAT = Symbol.for("splat");
+
+const DEFAULT_REPLACEMENT = "[REDACTED]";
+
+const DEFAULT_PATHS = [
+  "password",
+  "passwd",
+  "secret",
+  "token",
+  "accessToken",
+  "refreshToken",
+  "idToken",
+  "apiKey",
+  "api_key",
+  "authorization",
+  "cookie",
+  "set-cookie",
+  "secretAccessKey",
+  "secret_access_key",
+];
+
+// issuer prefixes of the major card networks (Visa, Mastercard, American
+// Express, Diners Club, JCB, Discover, UnionPay)
+const CARD_PREFIX = /^(?:4|5[1-5]|2[2-7]|3[0457-9]|6)/;
+
+/**
+ * Built-in detectors applied to every string value
+ */
+const DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  },
+  card: {
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    // bare digit runs are mostly timestamps and IDs: without separators,
+    // only numbers starting like a card of a major network are masked
+    test: (match) => {
+      const digits = match.replace(/[ -]/g, "");
+      return (
+        (digits !== match || CARD_PREFIX.test(digits)) && _passesLuhn(digits)
+      );
+    },
+  },
+  bearer: {
+    pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi,
+    replace: (match, scheme, replacement) => `${scheme} ${replacement}`,
+  },
+  awsKey: {
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+};
+
+/**
+ * Creates a redactor that masks sensitive values by key path and content
+ * @param {Object} options - Redaction options
+ * @param {Array} options.paths - Key paths to mask ('password', 'headers.authorization', 'user.*.email', '**.token'), in addition to DEFAULT_PATHS
+ * @param {Boolean} options.defaultPaths - Whether DEFAULT_PATHS are masked too (default: true)
+ * @param {Array} options.patterns - Additional regular expressions (or strings) to mask inside string values
+ * @param {Array} options.detectors - Built-in detectors to enable ('email', 'card', 'bearer', 'awsKey'); all by default
+ * @param {String} options.replacement - Replacement text (default: '[REDACTED]')
+ * @returns {Object} - Redactor with `redact(value)`, `redactString(str)` and `redactInfo(info)`
+ */
+function createRedactor(options = {}) {
+  const replacement =
+    options.replacement === undefined
+      ? DEFAULT_REPLACEMENT
+      : options.replacement;
+  const paths = [
+    ...new Set([
+      ...(options.defaultPaths === false ? [] : DEFAULT_PATHS),
+      ...(options.paths || []),
+    ]),
+  ].map((path) =>
+    // Paths match anywhere in the entry, so 'headers.authorization' also
+    // covers 'req.headers.authorization' and console argument arrays.
+    ["**", ...String(path).toLowerCase().split(".")]
+  );
+  const detectors = (options.detectors || Object.keys(DETECTORS)).map(
+    (name) => {
+      if (!DETECTORS[name]) {
+        throw new Error(`Unknown redaction detector: ${name}`);
+      }
+      return DETECTORS[name];
+    }
+  );
+  const patterns = (options.patterns || []).map((pattern) => ({
+    pattern: _toGlobalRegExp(pattern),
+  }));
+  const matchers = [...detectors, ...patterns];
+  const queryKeyPattern = _buildQueryKeyPattern(paths);
+
+  function redactString(str) {
+    let result = str;
+
+    if (queryKeyPattern) {
+      result = result.replace(
+        queryKeyPattern,
+        (match, prefix, key) => `${prefix}${key}=${replacement}`
+      );
+    }
+
+    for (const matcher of matchers) {
+      matcher.pattern.lastIndex = 0;
+      result = result.replace(matcher.pattern, (match, ...groups) => {
+        if (matcher.test && !matcher.test(match)) {
+          return match;
+        }
+        return matcher.replace
+          ? matcher.replace(match, groups[0], replacement)
+          : replacement;
+      });
+    }
+
+    return result;
+  }
+
+  function isSensitivePath(path) {
+    return paths.some((pattern) => _matchPath(pattern, 0, path, 0));
+  }
+
+  function redactValue(value, path, seen) {
+    if (typeof value === "string") {
+      return redactString(value);
+    }
+
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+
+    if (
+      value instanceof Date ||
+      value instanceof RegExp ||
+      Buffer.isBuffer(value)
+    ) {
+      return value;
+    }
+
+    if (seen.has(value)) {
+      return "[Circular]";
+    }
+    seen.add(value);
+
+    let result;
+    if (Array.isArray(value)) {
+      result = value.map((item, index) =>
+        redactChild(item, [...path, String(index)], seen)
+      );
+    } else {
+      result =
+        value instanceof Error
+          ? Object.create(Object.getPrototypeOf(value))
+          : {};
+      const keys =
+        value instanceof Error
+          ? Object.getOwnPropertyNames(value)
+          : Object.keys(value);
+      for (const key of keys) {
+        result[key] = redactChild(value[key], [...path, key], seen);
+      }
+    }
+
+    seen.delete(value);
+    return result;
+  }
+
+  function redactChild(value, path, seen) {
+    if (isSensitivePath(path.map((segment) => segment.toLowerCase()))) {
+      return value === undefined || value === null ? value : replacement;
+    }
+    return redactValue(value, path, seen);
+  }
+
+  /**
+   * Redacts a value without mutating it
+   * @param {*} value - Value to redact
+   * @returns {*} - Redacted copy
+   */
+  function redact(value) {
+    return redactValue(value, [], new WeakSet());
+  }
+
+  /**
+   * Redacts a Winston info object in place (nested values are copied)
+   * @param {Object} info - Winston info object
+   * @returns {Object} - The same info object
+   */
+  function redactInfo(info) {
+    for (const key of Object.keys(info)) {
+      if (key === "level") {
+        continue;
+      }
+      info[key] = redactChild(info[key], [key], new WeakSet());
+    }
+
+    if (Array.isArray(info[SPLAT])) {
+      info[SPLAT] = redact(info[SPLAT]);
+    }
+
+    return info;
+  }
+
+  return {
+    redact,
+    redactString,
+    redactInfo,
+  };
+}
+
+/**
+ * Creates a Winston format that redacts every entry before it reaches the transports
+ * @param {Object} options - Redaction options (see createRedactor)
+ * @returns {Object} - Winston format instance
+ */
+function format(options = {}) {
+  const redactor = createRedactor(options);
+  return winston.format((info) => redactor.redactInfo(info))();
+}
+
+/**
+ * Matches a key path against a path pattern supporting '*' (one segment)
+ * and '**' (any number of segments)
+ * @private
+ */
+function _matchPath(pattern, p, path, k) {
+  if (p === pattern.length) {
+    return k === path.length;
+  }
+
+  if (pattern[p] === "**") {
+    for (let i = k; i <= path.length; i++) {
+      if (_matchPath(pattern, p + 1, path, i)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  if (k === path.length) {
+    return false;
+  }
+
+  return (
+    (pattern[p] === "*" || pattern[p] === path[k]) &&
+    _matchPath(pattern, p + 1, path, k + 1)
+  );
+}
+
+/**
+ * Builds a pattern masking `key=value` pairs (URL query strings, form bodies)
+ * for the leaf keys of the configured paths
+ * @private
+ */
+function _buildQueryKeyPattern(paths) {
+  const keys = [
+    ...new Set(
+      paths
+        .map((path) => path[path.length - 1])
+        .filter((key) => key !== "*" && key !== "**")
+    ),
+  ];
+  if (!keys.length) {
+    return null;
+  }
+
+  const alternatives = keys
+    .map((key) => key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  return new RegExp(`(^|[?&;\\s])(${alternatives})=[^&;\\s#]*`, "gi");
+}
+
+/**
+ * @private
+ */
+function _toGlobalRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern.global
+      ? pattern
+      : new RegExp(pattern.source, `${pattern.flags}g`);
+  }
+  return new RegExp(String(pattern), "g");
+}
+
+/**
+ * @private
+ */
+function _passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+module.exports = {
+  createRedactor,
+  format,
+  DEFAULT_PATHS,
+  DETECTORS,
+};
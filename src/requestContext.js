@@ -0,0 +1,150 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const crypto = require("crypto");
+const winston = require("winston");
+
+const storage = new AsyncLocalStorage();
+const REQUEST_CONTEXT = Symbol("lognexus.requestContext");
+
+/**
+ * Generates a new request ID
+ * @returns {String} - A random UUID
+ */
+function generateRequestId() {
+  if (typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+
+  const hex = crypto.randomBytes(16).toString("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join("-");
+}
+
+/**
+ * Runs a function inside a new context. Everything logged while the function
+ * (and any async work it starts) runs is tagged with the context fields.
+ * @param {Object} context - Initial context fields
+ * @param {Function} fn - Function to run
+ * @returns {*} - Whatever the function returns
+ */
+function run(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/**
+ * Returns the context of the current execution, if any
+ * @returns {Object|undefined} - The current context
+ */
+function getContext() {
+  return storage.getStore();
+}
+
+/**
+ * Returns the request ID of the current context, if any
+ * @returns {String|undefined} - The current request ID
+ */
+function getRequestId() {
+  const context = storage.getStore();
+  return context && context.requestId;
+}
+
+/**
+ * Adds fields (userId, tenant, ...) to the current context
+ * @param {Object} fields - Fields to add
+ * @returns {Boolean} - False when called outside of a context
+ */
+function addContext(fields = {}) {
+  const context = storage.getStore();
+  if (!context) {
+    return false;
+  }
+
+  Object.assign(context, fields);
+  return true;
+}
+
+/**
+ * Returns the context that was opened for a request by `middleware`
+ * @param {Object} req - HTTP request
+ * @returns {Object|undefined} - The request context
+ */
+function fromRequest(req) {
+  return req && req[REQUEST_CONTEXT];
+}
+
+/**
+ * Runs a function inside the context that was opened for a request. Useful
+ * from callbacks (like response `finish` listeners) that lose the async context.
+ * @param {Object} req - HTTP request
+ * @param {Function} fn - Function to run
+ * @returns {*} - Whatever the function returns
+ */
+function runForRequest(req, fn) {
+  const context = fromRequest(req);
+  if (!context || context === storage.getStore()) {
+    return fn();
+  }
+
+  return storage.run(context, fn);
+}
+
+/**
+ * Creates a middleware that opens a context for every request, reusing the
+ * incoming request ID header or generating a new one
+ * @param {Object} options - Middleware options
+ * @param {String} options.header - Request ID header name (default: 'X-Request-Id')
+ * @param {Boolean} options.echoHeader - Whether to set the request ID on the response
+ * @param {Function} options.generateId - Custom request ID generator
+ * @returns {Function} - Express/Connect-style middleware
+ */
+function middleware(options = {}) {
+  const header = options.header || "X-Request-Id";
+  const echoHeader = options.echoHeader !== false;
+  const generateId = options.generateId || generateRequestId;
+
+  return function requestContextMiddleware(req, res, next) {
+    const incoming = req.headers && req.headers[header.toLowerCase()];
+    const requestId =
+      (Array.isArray(incoming) ? incoming[0] : incoming) || generateId(req);
+
+    if (echoHeader && !res.headersSent) {
+      res.setHeader(header, requestId);
+    }
+
+    const context = { requestId };
+    req[REQUEST_CONTEXT] = context;
+    storage.run(context, next);
+  };
+}
+
+/**
+ * Winston format that copies the current context fields onto every entry.
+ * Fields passed explicitly to the logger take precedence.
+ */
+const format = winston.format((info) => {
+  const context = storage.getStore();
+  if (context) {
+    for (const key of Object.keys(context)) {
+      if (info[key] === undefined) {
+        info[key] = context[key];
+      }
+    }
+  }
+  return info;
+});
+
+module.exports = {
+  run,
+  getContext,
+  getRequestId,
+  addContext,
+  fromRequest,
+  runForRequest,
+  middleware,
+  format,
+  generateRequestId,
+};
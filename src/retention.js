@@ -0,0 +1,372 @@
+const zlib = require("zlib");
+const stream = require("stream");
+const { createDecompressor } = require("./decompress");
+const encryption = require("./encryption");
+const {
+  archiveName,
+  sourceEntry,
+  scanArchive,
+  writeIndex,
+  _folderOf,
+  _nameOf,
+} = require("./archiveIndex");
+const { resolveStorage } = require("./storage");
+const { parseDuration, toTime } = require("./utils");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Deletes archived log files whose time window ended longer ago than the
+ * retention period of their prefix. Daily archives are removed from their
+ * folder's index as they are deleted.
+ *
+ * @async
+ * @function pruneLogs
+ * @param {Object} options - Pruning options
+ * @param {String} options.prefix - The S3 folder prefix (e.g., 'logs/service/'); subfolders such as routes are included
+ * @param {String|Number} options.olderThan - Retention period ('30d', '12h' or milliseconds) of files matching no rule
+ * @param {Object|String|Array} options.rules - Retention periods per prefix ({ 'logs/service/access/': '7d' }, 'logs/service/access/=7d' or [{ prefix, olderThan }]); the longest matching prefix wins
+ * @param {Boolean} options.dryRun - Only report the files that would be deleted
+ * @param {Date|String|Number} options.now - Time the retention periods are counted from (default: now)
+ * @param {String} options.nameFormat - Name format used to infer each file's time window (defaults to the configured `nameFormat`)
+ * @param {String|Number} options.rotateEvery - Rotation period used to infer each file's end time (defaults to the configured `rotateEvery`)
+ * @param {Object} options.awsConfig - AWS settings overriding the configured ones
+ * @param {Object} options.storage - Storage backend, or backend options such as { type: 'local', dir } (defaults to S3)
+ * @param {String|Object} options.sse - Server-side encryption of rewritten indexes (see s3Client.sseParams)
+ * @returns {Promise<Object>} - Manifest with `deleted` ({ key, size, end }), `skipped` ({ key, reason }), the number of `kept` files and `dryRun`
+ * @throws Will throw an error if no retention period is given or a period is invalid
+ */
+async function pruneLogs(options = {}) {
+  if (!options.prefix) {
+    throw new Error("An S3 prefix is required.");
+  }
+
+  const rules = parseRetentionRules(options.rules);
+  const fallback =
+    options.olderThan === undefined || options.olderThan === null
+      ? null
+      : _parsePeriod(options.olderThan);
+  if (fallback === null && !rules.length) {
+    throw new Error("A retention period (olderThan) or rules are required.");
+  }
+
+  const storage = resolveStorage(options);
+  const now = toTime(options.now) || Date.now();
+  const dryRun = Boolean(options.dryRun);
+  const { files, superseded, indexes } = await scanArchive(
+    storage,
+    options.prefix,
+    options
+  );
+
+  const manifest = { deleted: [], skipped: [], kept: 0, dryRun };
+  const changedFolders = new Set();
+
+  for (const file of [...files, ...superseded]) {
+    const rule = rules.find((candidate) =>
+      file.key.startsWith(candidate.prefix)
+    );
+    const period = rule ? rule.period : fallback;
+
+    if (period === null) {
+      manifest.kept++;
+      continue;
+    }
+    if (!file.window) {
+      manifest.skipped.push({ key: file.key, reason: "unknown_time" });
+      continue;
+    }
+    if (file.window.end > now - period) {
+      manifest.kept++;
+      continue;
+    }
+
+    if (!dryRun) {
+      await storage.delete(file.key);
+
+      const folder = _folderOf(file.key);
+      const index = indexes.get(folder);
+      if (index && index.files[_nameOf(file.key)]) {
+        delete index.files[_nameOf(file.key)];
+        changedFolders.add(folder);
+      }
+    }
+    manifest.deleted.push({
+      key: file.key,
+      size: file.size,
+      end: new Date(file.window.end).toISOString(),
+    });
+  }
+
+  for (const folder of changedFolders) {
+    await writeIndex(storage, folder, indexes.get(folder), {
+      sse: options.sse,
+    });
+  }
+
+  return manifest;
+}
+
+/**
+ * Merges the small files of each past day into one gzip-compressed daily
+ * archive per folder ('daily-2026-10-18.log.gz') and records the time range
+ * of every archive in the folder's index, so downloads and queries read one
+ * object per day. Files are merged in time order; a day already compacted is
+ * merged again with files that arrived since. Archives are encrypted when a
+ * key provider is configured, and encrypted files are decrypted on the way.
+ *
+ * The archive is uploaded first, the index is written once the upload
+ * succeeded and the merged files are deleted last, so an interrupted run
+ * never loses entries: at worst, entries of files that the index does not yet
+ * list as merged are read twice. The next run deletes the files left behind.
+ *
+ * @async
+ * @function compactLogs
+ * @param {Object} options - Compaction options
+ * @param {String} options.prefix - The S3 folder prefix (e.g., 'logs/service/'); subfolders such as routes are compacted separately
+ * @param {Date|String|Number} options.before - Only days ending at or before this time are compacted (default: start of the current UTC day)
+ * @param {Number} options.maxFileSize - Files larger than this (stored size in bytes) are left as they are (default: 5 MB)
+ * @param {Boolean} options.dryRun - Only report the archives that would be written
+ * @param {String} options.nameFormat - Name format used to infer each file's time window (defaults to the configured `nameFormat`)
+ * @param {String|Number} options.rotateEvery - Rotation period used to infer each file's end time (defaults to the configured `rotateEvery`)
+ * @param {Object} options.awsConfig - AWS settings overriding the configured ones
+ * @param {Object} options.storage - Storage backend, or backend options such as { type: 'local', dir } (defaults to S3)
+ * @param {Object|Boolean} options.encryption - Key provider or key options decrypting files and encrypting archives (defaults to the LOG_ENCRYPTION_KEY* env vars)
+ * @param {String|Object} options.sse - Server-side encryption of the archives and indexes (see s3Client.sseParams)
+ * @returns {Promise<Object>} - Manifest with `compacted` ({ key, files, start, end, bytes }), `deleted` keys, `failed` ({ key, error }) and `dryRun`
+ */
+async function compactLogs(options = {}) {
+  if (!options.prefix) {
+    throw new Error("An S3 prefix is required.");
+  }
+
+  const storage = resolveStorage(options);
+  const keyProvider = encryption.resolveKeyProvider(options.encryption);
+  const now = new Date();
+  const before =
+    toTime(options.before) ||
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const maxFileSize = options.maxFileSize || 5 * 1024 * 1024;
+  const dryRun = Boolean(options.dryRun);
+  const putOptions = { sse: options.sse };
+
+  const { files, superseded, indexes } = await scanArchive(
+    storage,
+    options.prefix,
+    options
+  );
+  const manifest = { compacted: [], deleted: [], failed: [], dryRun };
+
+  // files of an interrupted run, already part of their archive
+  for (const file of superseded) {
+    if (!dryRun) {
+      await storage.delete(file.key);
+    }
+    manifest.deleted.push(file.key);
+  }
+
+  const days = new Map();
+  for (const file of files) {
+    if (!file.window) {
+      continue;
+    }
+    const dayStart = Math.floor(file.window.start / DAY) * DAY;
+    const fitsDay = file.window.end <= dayStart + DAY;
+    const small = file.archive || file.size <= maxFileSize;
+    if (!fitsDay || !small || dayStart + DAY > before) {
+      continue;
+    }
+
+    const group = `${_folderOf(file.key)}${archiveName(dayStart)}`;
+    if (!days.has(group)) {
+      days.set(group, { key: group, folder: _folderOf(file.key), files: [] });
+    }
+    days.get(group).files.push(file);
+  }
+
+  for (const day of days.values()) {
+    const sources = day.files.filter((file) => file.key !== day.key);
+    if (!sources.length || day.files.length < 2) {
+      continue;
+    }
+
+    // the existing archive comes first: its entries are the oldest
+    day.files.sort(
+      (a, b) =>
+        (b.key === day.key) - (a.key === day.key) ||
+        a.window.start - b.window.start ||
+        a.key.localeCompare(b.key)
+    );
+    const index = indexes.get(day.folder) || { files: {} };
+    const previous = index.files[_nameOf(day.key)];
+    const entry = {
+      start: new Date(
+        Math.min(...day.files.map((file) => file.window.start))
+      ).toISOString(),
+      end: new Date(
+        Math.max(...day.files.map((file) => file.window.end))
+      ).toISOString(),
+      sources: [
+        ...((previous && previous.sources) || []),
+        ...sources.map(sourceEntry),
+      ],
+    };
+
+    if (dryRun) {
+      manifest.compacted.push({
+        key: day.key,
+        files: sources.length,
+        start: entry.start,
+        end: entry.end,
+      });
+      continue;
+    }
+
+    try {
+      const { body, keyId } = await _mergeFiles(
+        storage,
+        day.files,
+        keyProvider
+      );
+
+      // an index listing files the archive does not hold would hide them,
+      // so it only changes once the archive is stored
+      await storage.put(day.key, body, {
+        ...putOptions,
+        contentType: keyId ? encryption.CONTENT_TYPE_ENCRYPTED : undefined,
+        metadata: keyId ? encryption.objectMetadata(keyId) : undefined,
+      });
+
+      index.files[_nameOf(day.key)] = entry;
+      indexes.set(day.folder, index);
+      try {
+        await writeIndex(storage, day.folder, index, putOptions);
+      } catch (err) {
+        if (previous) {
+          index.files[_nameOf(day.key)] = previous;
+        } else {
+          delete index.files[_nameOf(day.key)];
+        }
+        throw err;
+      }
+
+      for (const file of sources) {
+        await storage.delete(file.key);
+        manifest.deleted.push(file.key);
+      }
+      manifest.compacted.push({
+        key: day.key,
+        files: sources.length,
+        start: entry.start,
+        end: entry.end,
+        bytes: body.bytes,
+      });
+    } catch (err) {
+      manifest.failed.push({ key: day.key, error: err.message });
+    }
+  }
+
+  return manifest;
+}
+
+/**
+ * Parses retention rules into { prefix, period } sorted from the most to the
+ * least specific prefix
+ * @param {Object|String|Array} rules - { prefix: period }, 'prefix=period,prefix=period' or [{ prefix, olderThan }]
+ * @returns {Array} - Parsed rules
+ * @throws Will throw an error if a period is invalid
+ */
+function parseRetentionRules(rules) {
+  let entries = [];
+  if (Array.isArray(rules)) {
+    entries = rules.map((rule) => [rule.prefix, rule.olderThan]);
+  } else if (typeof rules === "string") {
+    entries = rules
+      .split(",")
+      .map((rule) => rule.trim())
+      .filter(Boolean)
+      .map((rule) => rule.split(/=(?=[^=]*$)/));
+  } else if (rules) {
+    entries = Object.entries(rules);
+  }
+
+  return entries
+    .map(([prefix, period]) => ({
+      prefix: String(prefix || "").trim(),
+      period: _parsePeriod(period),
+    }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+}
+
+/**
+ * Streams files in order into one gzip-compressed (and, with a key provider,
+ * encrypted) body. Nothing is read ahead of the upload, so memory use does
+ * not grow with the size of the day; `body.bytes` counts what was produced.
+ * @private
+ */
+async function _mergeFiles(storage, files, keyProvider) {
+  const stages = [
+    stream.Readable.from(_readFiles(storage, files, keyProvider)),
+  ];
+  stages.push(zlib.createGzip());
+
+  let keyId = null;
+  if (keyProvider) {
+    const encryptor = encryption.createEncryptor(keyProvider);
+    // the key ID goes into the upload's metadata, before any data
+    keyId = await encryptor.ready();
+    stages.push(encryptor);
+  }
+
+  const body = new stream.Transform({
+    transform(chunk, encoding, callback) {
+      body.bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  body.bytes = 0;
+  // errors reach the upload through the body
+  stream.pipeline(...stages, body, () => {});
+  return { body, keyId };
+}
+
+/**
+ * Yields the decrypted, decompressed content of files one after the other
+ * @private
+ */
+async function* _readFiles(storage, files, keyProvider) {
+  for (const file of files) {
+    let lastByte = null;
+    const content = stream.pipeline(
+      await storage.get(file.key),
+      encryption.createDecryptor(keyProvider),
+      createDecompressor(),
+      () => {}
+    );
+    for await (const chunk of content) {
+      lastByte = chunk[chunk.length - 1];
+      yield chunk;
+    }
+    // keep the last line of one file apart from the first of the next
+    if (lastByte !== null && lastByte !== 0x0a) {
+      yield Buffer.from("\n");
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function _parsePeriod(value) {
+  const period = parseDuration(value, NaN);
+  if (isNaN(period) || period < 0) {
+    throw new Error(`Invalid retention period "${value}".`);
+  }
+  return period;
+}
+
+module.exports = {
+  pruneLogs,
+  compactLogs,
+  parseRetentionRules,
+};
@@ -0,0 +1,125 @@
+const winston = require("winston");
+const { wildcardToRegExp } = require("./utils");
+
+const LEVEL = Symbol.for("level");
+
+/**
+ * Categories given to entries by Lognexus itself; everything else is 'app'
+ */
+const CATEGORIES = {
+  access: "access",
+  console: "console",
+  outbound: "outbound",
+  app: "app",
+};
+
+const DEFAULT_ROUTE = "default";
+
+/**
+ * Normalizes routing rules. Each rule sends the entries it matches to its own
+ * destination; entries matching no rule go to the default destination.
+ * @param {Array} routes - Routing rules
+ * @param {String} routes[].name - Destination name (default: 'route-<n>')
+ * @param {Object|Function} routes[].match - Criteria ({ level, category, namespace }) or a function (info) returning whether the entry matches
+ * @returns {Array} - Rules ({ name, matches, options }) in their original order
+ * @throws Will throw an error if a rule has no criteria or two rules share a name
+ */
+function parseRoutes(routes = []) {
+  const names = new Set([DEFAULT_ROUTE]);
+
+  return routes.map((route, index) => {
+    const name = route.name || `route-${index + 1}`;
+    if (names.has(name)) {
+      throw new Error(`Duplicate log route name "${name}".`);
+    }
+    names.add(name);
+
+    if (!route.match) {
+      throw new Error(`Log route "${name}" has no match criteria.`);
+    }
+
+    return { name, matches: _compileMatch(route.match), options: route };
+  });
+}
+
+/**
+ * Creates a router assigning every entry to exactly one destination: the
+ * first rule it matches, or the default destination
+ * @param {Array} routes - Routing rules (see parseRoutes)
+ * @returns {Object} - Router ({ names, routeFor, format })
+ */
+function createRouter(routes = []) {
+  const rules = parseRoutes(routes);
+
+  /**
+   * Returns the destination of an entry
+   * @param {Object} info - Log entry
+   * @returns {String} - Destination name
+   */
+  function routeFor(info) {
+    const rule = rules.find((r) => r.matches(info));
+    return rule ? rule.name : DEFAULT_ROUTE;
+  }
+
+  /**
+   * Creates a Winston format letting through only the entries of one
+   * destination, for use as that destination's transport format
+   * @param {String} name - Destination name
+   * @returns {Object} - Winston format instance
+   */
+  function format(name) {
+    return winston.format((info) => (routeFor(info) === name ? info : false))();
+  }
+
+  return {
+    names: [...rules.map((rule) => rule.name), DEFAULT_ROUTE],
+    rules,
+    routeFor,
+    format,
+  };
+}
+
+/**
+ * Builds the match function of a rule. Every criterion given must match; a
+ * criterion may list several values.
+ * @private
+ */
+function _compileMatch(match) {
+  if (typeof match === "function") {
+    return match;
+  }
+
+  const levels = _toList(match.level);
+  const categories = _toList(match.category);
+  const namespaces = (_toList(match.namespace) || []).map(wildcardToRegExp);
+
+  if (!levels && !categories && !namespaces.length) {
+    throw new Error(
+      "Log route criteria need a level, category or namespace (or a function)."
+    );
+  }
+
+  return (info) =>
+    (!levels || levels.includes(info[LEVEL] || info.level)) &&
+    (!categories || categories.includes(info.category || CATEGORIES.app)) &&
+    (!namespaces.length ||
+      (typeof info.namespace === "string" &&
+        namespaces.some((regex) => regex.test(info.namespace))));
+}
+
+/**
+ * @private
+ */
+function _toList(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  CATEGORIES,
+  DEFAULT_ROUTE,
+  parseRoutes,
+  createRouter,
+};
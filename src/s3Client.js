@@ -0,0 +1,111 @@
+const { S3Client, ListObjectsV2Command } = require("@aws-sdk/client-s3");
+const { untrackClient } = require("./outboundHttp");
+
+/**
+ * Resolves the AWS settings used by the read path (downloads and queries).
+ * Explicit settings win over env vars.
+ * @param {Object} awsConfig - Explicit AWS settings
+ * @returns {Object} - { bucketName, accessKeyId, secretAccessKey, region, endpoint, forcePathStyle }
+ */
+function resolveAwsConfig(awsConfig = {}) {
+  const pick = (key, envValue) =>
+    awsConfig[key] !== undefined ? awsConfig[key] : envValue;
+
+  return {
+    bucketName: pick("bucketName", process.env.AWS_S3_BUCKET_NAME),
+    accessKeyId: pick("accessKeyId", process.env.AWS_S3_ACCESS_KEY_ID),
+    secretAccessKey: pick(
+      "secretAccessKey",
+      process.env.AWS_S3_SECRET_ACCESS_KEY
+    ),
+    region: pick("region", process.env.AWS_REGION),
+    endpoint: pick("endpoint", process.env.AWS_S3_ENDPOINT),
+    forcePathStyle: pick(
+      "forcePathStyle",
+      process.env.AWS_S3_FORCE_PATH_STYLE === "true"
+    ),
+  };
+}
+
+/**
+ * Creates an S3 client from resolved AWS settings. Without an access key the
+ * SDK's default credential provider chain is used (env, shared config, IAM
+ * roles, ...).
+ * @param {Object} awsConfig - Settings returned by resolveAwsConfig
+ * @returns {S3Client} - S3 client
+ * @throws Will throw an error if the region or bucket name are missing
+ */
+function createClient(awsConfig) {
+  const { region, accessKeyId, secretAccessKey, bucketName } = awsConfig;
+
+  if (!region || !bucketName) {
+    throw new Error("Missing AWS S3 configuration.");
+  }
+
+  return untrackClient(
+    new S3Client({
+      region,
+      ...(accessKeyId && secretAccessKey
+        ? { credentials: { accessKeyId, secretAccessKey } }
+        : {}),
+      ...(awsConfig.endpoint ? { endpoint: awsConfig.endpoint } : {}),
+      ...(awsConfig.forcePathStyle ? { forcePathStyle: true } : {}),
+    })
+  );
+}
+
+/**
+ * Lists every object under a prefix, following continuation tokens
+ * @param {S3Client} client - S3 client
+ * @param {String} bucket - Bucket name
+ * @param {String} prefix - Key prefix
+ * @returns {Promise<Array>} - Listed objects ({ Key, Size, LastModified, ... })
+ */
+async function listObjects(client, bucket, prefix) {
+  const objects = [];
+  let continuationToken;
+
+  do {
+    const data = await client.send(
+      new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      })
+    );
+    objects.push(...(data.Contents || []));
+    continuationToken = data.IsTruncated
+      ? data.NextContinuationToken
+      : undefined;
+  } while (continuationToken);
+
+  return objects;
+}
+
+/**
+ * Builds the server-side encryption parameters of an upload
+ * @param {String|Object} sse - 'AES256' (SSE-S3), 'aws:kms' (SSE-KMS) or { type, kmsKeyId, bucketKeyEnabled }
+ * @returns {Object} - Parameters for PutObject and CreateMultipartUpload
+ */
+function sseParams(sse) {
+  const options = typeof sse === "string" ? { type: sse } : sse || {};
+  if (!options.type) {
+    return {};
+  }
+
+  const params = { ServerSideEncryption: options.type };
+  if (options.kmsKeyId) {
+    params.SSEKMSKeyId = options.kmsKeyId;
+  }
+  if (options.bucketKeyEnabled !== undefined) {
+    params.BucketKeyEnabled = Boolean(options.bucketKeyEnabled);
+  }
+  return params;
+}
+
+module.exports = {
+  resolveAwsConfig,
+  createClient,
+  listObjects,
+  sseParams,
+};
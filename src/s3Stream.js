@@ -1,10 +1,15 @@
-const { S3StreamLogger } = require("s3-streamlogger");
-
-let _s3Stream = null;
+const os = require("os");
+const path = require("path");
+const spool = require("./spool");
+const { S3Transport } = require("./s3Transport");
+const { createLocalStorage } = require("./storage");
+const { resolveKeyProvider } = require("./encryption");
 
 /**
- * Creates an S3 stream logger instance or returns a cached one
+ * Creates an S3 transport (or spool stream). Every call returns a new one,
+ * owned by the caller (e.g. one per init() and per log route)
  * @param {Object} config - Optional configuration to override defaults
+ * @param {String} config.app_type - Application type used in the default folder, name format and spool directory
  * @param {String} config.bucket - S3 bucket name
  * @param {String} config.access_key_id - AWS access key ID
  * @param {String} config.secret_access_key - AWS secret access key
@@ -13,29 +18,26 @@ let _s3Stream = null;
  * @param {String} config.name_format - Format for log file names
  * @param {String} config.rotate_every - Rotation period ('1h', '1d', etc.)
  * @param {Number} config.max_file_size - Maximum file size in bytes
- * @param {Number} config.upload_every - Upload interval in milliseconds
+ * @param {Number} config.upload_every - Upload interval in milliseconds: how often the spool uploads, or the S3 transport completes the open file
  * @param {Boolean} config.compress - Whether to compress log files
- * @returns {Object} - S3StreamLogger instance
+ * @param {Object|Boolean} config.encryption - Client-side encryption: a key provider or key options (see encryption.resolveKeyProvider); read from LOG_ENCRYPTION_KEY* when omitted
+ * @param {String|Object} config.sse - Server-side encryption of S3 uploads (see s3Client.sseParams)
+ * @param {String} config.endpoint - Custom S3 endpoint (S3-compatible storage)
+ * @param {Boolean} config.force_path_style - Whether to use path-style bucket addressing
+ * @param {Object} config.spool - Local disk spool options (see spool.createSpoolStream); enabled with `spool.enabled`
+ * @param {Number} config.part_size - Multipart part size in bytes (at least 5 MB)
+ * @param {Number} config.max_buffer_size - Bytes waiting for upload after which entries are dropped
+ * @param {Object} config.storage - Storage backend options: { type: 's3' } (default) or { type: 'local', dir }
+ * @returns {Object} - S3Transport instance, or spool stream when the spool is enabled or the storage is local
  */
-function getStream(config = {}) {
-  if (_s3Stream && Object.keys(config).length === 0 && !config.forceRefresh) {
-    return _s3Stream;
-  }
-
-  const awsCred = global.awsCred || {
-    awsS3BucketId: process.env.AWS_S3_ACCESS_KEY_ID,
-    awsBucketNameForLogs: process.env.AWS_S3_BUCKET_NAME || "logs-bucket",
-    awsS3BucketSecret: process.env.AWS_S3_SECRET_ACCESS_KEY,
-    region: process.env.AWS_REGION || "us-east-1",
-  };
-
-  const APP_TYPE = global.APP_TYPE || process.env.APP_TYPE || "development";
+function createStream(config = {}) {
+  const APP_TYPE = config.app_type || process.env.APP_TYPE || "development";
 
   const defaultConfig = {
-    bucket: awsCred.awsBucketNameForLogs,
-    access_key_id: awsCred.awsS3BucketId,
-    secret_access_key: awsCred.awsS3BucketSecret,
-    region: awsCred.region || process.env.AWS_REGION || "ap-south-1",
+    bucket: process.env.AWS_S3_BUCKET_NAME || "logs-bucket",
+    access_key_id: process.env.AWS_S3_ACCESS_KEY_ID,
+    secret_access_key: process.env.AWS_S3_SECRET_ACCESS_KEY,
+    region: process.env.AWS_REGION || "us-east-1",
     folder: process.env.S3_LOG_FOLDER || `logs/${APP_TYPE}/`,
     name_format:
       process.env.S3_LOG_NAME_FORMAT || `%Y-%m-%d-%H-%M-${APP_TYPE}-error.log`,
@@ -47,39 +49,134 @@ function getStream(config = {}) {
       process.env.S3_LOG_UPLOAD_EVERY || 3 * 60 * 60 * 1000
     ), // 3 hours
     compress: process.env.S3_LOG_COMPRESS !== "false",
+    sse: process.env.S3_LOG_SSE && {
+      type: process.env.S3_LOG_SSE,
+      kmsKeyId: process.env.S3_LOG_SSE_KMS_KEY_ID,
+    },
+    endpoint: process.env.AWS_S3_ENDPOINT,
+    force_path_style: process.env.AWS_S3_FORCE_PATH_STYLE === "true",
+    spool: {
+      enabled: process.env.S3_LOG_SPOOL_ENABLED === "true",
+      dir:
+        process.env.S3_LOG_SPOOL_DIR ||
+        path.join(os.tmpdir(), "lognexus-spool", APP_TYPE),
+    },
+    storage: {
+      type: process.env.LOG_STORAGE || "s3",
+      dir:
+        process.env.LOG_STORAGE_DIR || path.join(process.cwd(), "log-archive"),
+    },
   };
 
   const mergedConfig = {
     ...defaultConfig,
     ...config,
+    spool: {
+      ...defaultConfig.spool,
+      ...(config.spool || {}),
+    },
+    storage: {
+      ...defaultConfig.storage,
+      ...(config.storage || {}),
+    },
   };
 
+  const { spool: spoolConfig, storage, ...streamConfig } = mergedConfig;
+  streamConfig.encryption = resolveKeyProvider(config.encryption);
+
+  if (storage.type === "local") {
+    // Files are staged in the spool directory and moved into the archive
+    // directory with the same rotation and naming as S3 uploads.
+    try {
+      return spool.createSpoolStream({
+        ...streamConfig,
+        ...spoolConfig,
+        storage: createLocalStorage(storage),
+      });
+    } catch (error) {
+      console.error("lognexus: Failed to create local archive:", error);
+      return null;
+    }
+  }
+
+  const clientConfig = { region: mergedConfig.region };
+  if (mergedConfig.endpoint) {
+    clientConfig.endpoint = mergedConfig.endpoint;
+  }
+  if (mergedConfig.force_path_style) {
+    clientConfig.forcePathStyle = true;
+  }
+
   if (!mergedConfig.bucket) {
-    console.warn("S3StreamLogger: No bucket specified. S3 logging disabled.");
+    console.warn("lognexus: No bucket specified. S3 logging disabled.");
     return null;
   }
 
-  if (!mergedConfig.access_key_id || !mergedConfig.secret_access_key) {
-    console.warn(
-      "S3StreamLogger: Missing AWS credentials. S3 logging disabled."
-    );
-    return null;
+  // Without static keys the SDK's default credential provider chain is used
+  // (env, shared config, IAM roles, ...).
+  if (mergedConfig.access_key_id && mergedConfig.secret_access_key) {
+    clientConfig.credentials = {
+      accessKeyId: mergedConfig.access_key_id,
+      secretAccessKey: mergedConfig.secret_access_key,
+    };
+  }
+
+  if (spoolConfig.enabled) {
+    try {
+      return spool.createSpoolStream({
+        ...streamConfig,
+        ...spoolConfig,
+        config: clientConfig,
+      });
+    } catch (error) {
+      console.error("lognexus: Failed to create spool:", error);
+      return null;
+    }
   }
 
   try {
-    _s3Stream = new S3StreamLogger(mergedConfig);
-    return _s3Stream;
+    return new S3Transport({ ...streamConfig, config: clientConfig });
   } catch (error) {
-    console.error("S3StreamLogger: Failed to create S3 stream:", error);
+    console.error("lognexus: Failed to create S3 transport:", error);
     return null;
   }
 }
 
-function resetStream() {
-  _s3Stream = null;
+/**
+ * Creates an S3 transport (or spool stream)
+ * @deprecated Streams are no longer cached; use createStream
+ * @param {Object} config - Optional configuration to override defaults
+ * @returns {Object} - S3Transport instance or spool stream
+ */
+function getStream(config = {}) {
+  return createStream(config);
+}
+
+/**
+ * Force-uploads everything buffered in the S3 transport (or spool) and starts a new file
+ * @param {Object} stream - S3Transport or spool stream
+ * @returns {Promise} - Resolves once the upload has completed
+ */
+function flush(stream) {
+  return new Promise((resolve, reject) => {
+    if (!stream || typeof stream.flushFile !== "function") {
+      return resolve();
+    }
+
+    // with nothing written since the last rotation, both streams skip the
+    // upload themselves, so no empty object is created
+    stream.flushFile((err) => (err ? reject(err) : resolve()));
+  });
 }
 
+/**
+ * @deprecated Streams are no longer cached; there is nothing to reset
+ */
+function resetStream() {}
+
 module.exports = {
   getStream,
+  createStream,
+  flush,
   resetStream,
 };
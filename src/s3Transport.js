@@ -0,0 +1,482 @@
+const zlib = require("zlib");
+const Transport = require("winston-transport");
+const {
+  S3Client,
+  PutObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} = require("@aws-sdk/client-s3");
+const { buildKey } = require("./nameFormat");
+const { parseDuration } = require("./utils");
+const { untrackClient } = require("./outboundHttp");
+const { sseParams } = require("./s3Client");
+const encryption = require("./encryption");
+
+const MESSAGE = Symbol.for("message");
+const MIN_PART_SIZE = 5 * 1024 * 1024; // S3's minimum for all but the last part
+const CONTENT_TYPE_PLAIN_TEXT = "text/plain;charset=utf-8";
+const CONTENT_TYPE_GZIP = "application/gzip";
+
+/**
+ * Winston transport streaming log entries into S3 multipart uploads. Entries
+ * are gzip-compressed (and encrypted, with a key provider) as they arrive and
+ * uploaded part by part, so memory use
+ * stays around one part per file instead of the whole file. A file is
+ * completed (and becomes visible in S3) when it rotates, every `upload_every`,
+ * on flush and on close.
+ *
+ * Failed requests are retried with exponential backoff, keeping their data in
+ * memory meanwhile; entries are only lost once the retries are exhausted, or
+ * if the process dies first. Use the spool when they must survive that.
+ *
+ * Emits:
+ * - 'part' ({ key, partNumber, bytes }) after every uploaded part
+ * - 'uploaded' ({ key, bytes, parts }) when a file has been completed
+ * - 'rotate' ({ key, reason }) when a new file is started ('time', 'upload', 'size' or 'flush')
+ * - 'retry' ({ key, attempt, delay, error }) when a request failed and is sent again
+ * - 'failed' ({ key, error }) when a file could not be uploaded (its entries are lost)
+ * - 'drop' ({ reason, bytes }) when entries are discarded because uploads fall behind
+ */
+class S3Transport extends Transport {
+  /**
+   * @param {Object} options - Transport options (plus the usual level/format/silent)
+   * @param {String} options.bucket - S3 bucket name
+   * @param {String} options.folder - S3 folder path for logs
+   * @param {String} options.name_format - Format for log file names
+   * @param {String|Number} options.rotate_every - Rotation period ('1h', '1d' or milliseconds)
+   * @param {Number} options.max_file_size - Uncompressed size after which the file rotates
+   * @param {String|Number} options.upload_every - Interval after which the open file is completed, if shorter than rotate_every
+   * @param {Boolean} options.compress - Whether to gzip log files
+   * @param {Object} options.encryption - Key provider encrypting every file before upload (see encryption.resolveKeyProvider)
+   * @param {String|Object} options.sse - Server-side encryption of the uploads (see s3Client.sseParams)
+   * @param {Number} options.part_size - Multipart part size in bytes (at least 5 MB)
+   * @param {Number} options.max_buffer_size - Bytes waiting for upload after which new entries are dropped
+   * @param {Number} options.max_retries - Retries of a failed request before the file is given up (default: 5)
+   * @param {Number} options.min_retry_delay - First retry delay in milliseconds (default: 1000)
+   * @param {Number} options.max_retry_delay - Maximum retry delay in milliseconds (default: 30000)
+   * @param {Object} options.config - S3Client configuration (region, credentials, endpoint, ...)
+   * @param {Object} options.client - Preconfigured S3Client (overrides options.config)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.name = options.name || "s3";
+    this.bucket = options.bucket;
+    this.folder = options.folder || "";
+    this.nameFormat = options.name_format || "%Y-%m-%d-%H-%M-%S-%L.log";
+    this.rotateEvery = parseDuration(options.rotate_every, 60 * 60 * 1000);
+    this.maxFileSize = options.max_file_size || 5 * 1024 * 1024;
+    this.uploadEvery = parseDuration(options.upload_every, this.rotateEvery);
+    this.compress = options.compress || false;
+    this.keyProvider = options.encryption || null;
+    this.sse = options.sse;
+    this.partSize = Math.max(MIN_PART_SIZE, options.part_size || 0);
+    this.maxBufferSize = options.max_buffer_size || 4 * this.partSize;
+    this.maxRetries =
+      options.max_retries === undefined ? 5 : options.max_retries;
+    this.minRetryDelay = options.min_retry_delay || 1000;
+    this.maxRetryDelay = options.max_retry_delay || 30 * 1000;
+    // uploads are not logged by the outbound HTTP instrumentation
+    this.client = untrackClient(
+      options.client || new S3Client(options.config || {})
+    );
+
+    this._current = null;
+    this._finishing = new Set();
+    this._lastKey = null;
+    this._keySequence = 0;
+    this._bufferedBytes = 0;
+
+    this._stats = {
+      files: 0,
+      parts: 0,
+      uploadedBytes: 0,
+      writtenBytes: 0,
+      retries: 0,
+      failed: 0,
+      dropped: 0,
+      droppedBytes: 0,
+    };
+
+    // an idle file still has to be completed once its period is over
+    this._timer = setInterval(
+      () => this._rotateIfDue(),
+      Math.min(this.rotateEvery, this.uploadEvery, 60 * 1000)
+    );
+    this._timer.unref();
+  }
+
+  log(info, callback) {
+    setImmediate(() => this.emit("logged", info));
+
+    const message = info[MESSAGE] !== undefined ? info[MESSAGE] : info;
+    const line = Buffer.from(
+      `${typeof message === "string" ? message : JSON.stringify(message)}\n`
+    );
+
+    if (this._bufferedBytes + line.length > this.maxBufferSize) {
+      this._stats.dropped++;
+      this._stats.droppedBytes += line.length;
+      this.emit("drop", { reason: "buffer_full", bytes: line.length });
+      return callback();
+    }
+
+    this._rotateIfDue();
+    if (!this._current) {
+      this._current = this._openFile();
+    }
+
+    const file = this._current;
+    file.bytes += line.length;
+    this._stats.writtenBytes += line.length;
+    if (file.input) {
+      file.input.write(line);
+    } else {
+      this._addChunk(file, line);
+    }
+
+    if (file.bytes >= this.maxFileSize) {
+      this._rotate("size");
+    }
+
+    callback();
+  }
+
+  /**
+   * Completes the current file and waits for every pending upload
+   * @returns {Promise} - Resolves once all files have been uploaded
+   */
+  flush() {
+    if (this._current) {
+      this._rotate("flush");
+    }
+    return Promise.all([...this._finishing]).then(() => {});
+  }
+
+  /**
+   * Callback flavour of flush(), matching the S3 stream interface
+   * @param {Function} callback - Called with an error if an upload failed
+   */
+  flushFile(callback) {
+    const failedBefore = this._stats.failed;
+    this.flush().then(() =>
+      callback(
+        this._stats.failed > failedBefore
+          ? new Error("S3 upload failed; see the 'failed' event.")
+          : null
+      )
+    );
+  }
+
+  /**
+   * Returns upload counters and the current buffer usage
+   * @returns {Object} - Transport statistics
+   */
+  getStats() {
+    return {
+      ...this._stats,
+      bufferedBytes: this._bufferedBytes,
+      pendingFiles: this._finishing.size,
+      currentKey: this._current ? this._current.key : null,
+    };
+  }
+
+  close() {
+    clearInterval(this._timer);
+  }
+
+  _final(callback) {
+    this.close();
+    this.flush().then(() => callback());
+  }
+
+  /**
+   * @private
+   */
+  _openFile() {
+    const started = Date.now();
+    const baseKey = buildKey(this.folder, this.nameFormat, started);
+
+    // a file rotated on size within the resolution of the name format would
+    // overwrite the previous one; number it instead
+    this._keySequence = baseKey === this._lastKey ? this._keySequence + 1 : 0;
+    this._lastKey = baseKey;
+    const key = this._keySequence ? `${baseKey}.${this._keySequence}` : baseKey;
+
+    const file = {
+      key,
+      started,
+      bytes: 0,
+      chunks: [],
+      chunkBytes: 0,
+      uploadId: null,
+      parts: [],
+      uploads: Promise.resolve(),
+      error: null,
+      input: null,
+      encryptor: null,
+    };
+
+    // entries are compressed, then encrypted, as they arrive
+    const stages = [];
+    if (this.compress) {
+      stages.push(zlib.createGzip());
+    }
+    if (this.keyProvider) {
+      file.encryptor = encryption.createEncryptor(this.keyProvider);
+      stages.push(file.encryptor);
+    }
+
+    if (stages.length) {
+      const output = stages.reduce((input, stage) => input.pipe(stage));
+      output.on("data", (chunk) => this._addChunk(file, chunk));
+      file.ended = new Promise((resolve) => {
+        output.once("end", resolve);
+        // e.g. the key provider failed; the file cannot be uploaded
+        output.on("error", (error) => {
+          file.error = file.error || error;
+          resolve();
+        });
+      });
+      file.input = stages[0];
+    }
+
+    return file;
+  }
+
+  /**
+   * @private
+   */
+  _addChunk(file, chunk) {
+    file.chunks.push(chunk);
+    file.chunkBytes += chunk.length;
+    this._bufferedBytes += chunk.length;
+
+    if (file.chunkBytes >= this.partSize) {
+      this._queuePart(file);
+    }
+  }
+
+  /**
+   * Takes the buffered chunks of a file and uploads them as its next part
+   * @private
+   */
+  _queuePart(file) {
+    const body = Buffer.concat(file.chunks);
+    file.chunks = [];
+    file.chunkBytes = 0;
+
+    file.uploads = file.uploads.then(async () => {
+      try {
+        if (file.error) {
+          return;
+        }
+
+        if (!file.uploadId) {
+          const upload = await this._send(
+            file,
+            new CreateMultipartUploadCommand({
+              Bucket: this.bucket,
+              Key: file.key,
+              ...this._objectParams(file),
+            })
+          );
+          file.uploadId = upload.UploadId;
+        }
+
+        const partNumber = file.parts.length + 1;
+        const part = await this._send(
+          file,
+          new UploadPartCommand({
+            Bucket: this.bucket,
+            Key: file.key,
+            UploadId: file.uploadId,
+            PartNumber: partNumber,
+            Body: body,
+          })
+        );
+        file.parts.push({ ETag: part.ETag, PartNumber: partNumber });
+
+        this._stats.parts++;
+        this._stats.uploadedBytes += body.length;
+        this.emit("part", { key: file.key, partNumber, bytes: body.length });
+      } catch (error) {
+        file.error = error;
+      } finally {
+        this._bufferedBytes -= body.length;
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _rotateIfDue() {
+    if (!this._current) {
+      return;
+    }
+
+    const age = Date.now() - this._current.started;
+    if (age >= this.rotateEvery) {
+      this._rotate("time");
+    } else if (age >= this.uploadEvery) {
+      this._rotate("upload");
+    }
+  }
+
+  /**
+   * @private
+   */
+  _rotate(reason) {
+    const file = this._current;
+    this._current = null;
+    this.emit("rotate", { key: file.key, reason });
+
+    const finishing = this._finishFile(file).finally(() =>
+      this._finishing.delete(finishing)
+    );
+    this._finishing.add(finishing);
+  }
+
+  /**
+   * Uploads what is left of a file and completes it
+   * @private
+   */
+  async _finishFile(file) {
+    if (file.input) {
+      file.input.end();
+      await file.ended;
+    }
+
+    if (!file.bytes) {
+      this._releaseChunks(file);
+      return;
+    }
+
+    try {
+      await file.uploads;
+      if (file.error) {
+        throw file.error;
+      }
+
+      if (!file.uploadId) {
+        // small files are uploaded in one request
+        const body = Buffer.concat(file.chunks);
+        try {
+          await this._send(
+            file,
+            new PutObjectCommand({
+              Bucket: this.bucket,
+              Key: file.key,
+              Body: body,
+              ...this._objectParams(file),
+            })
+          );
+        } finally {
+          this._releaseChunks(file);
+        }
+        this._stats.parts++;
+        this._stats.uploadedBytes += body.length;
+      } else {
+        if (file.chunkBytes) {
+          this._queuePart(file);
+          await file.uploads;
+          if (file.error) {
+            throw file.error;
+          }
+        }
+
+        await this._send(
+          file,
+          new CompleteMultipartUploadCommand({
+            Bucket: this.bucket,
+            Key: file.key,
+            UploadId: file.uploadId,
+            MultipartUpload: { Parts: file.parts },
+          })
+        );
+      }
+
+      this._stats.files++;
+      this.emit("uploaded", {
+        key: file.key,
+        bytes: file.bytes,
+        parts: Math.max(1, file.parts.length),
+      });
+    } catch (error) {
+      this._releaseChunks(file);
+      this._stats.failed++;
+      if (file.uploadId) {
+        await this.client
+          .send(
+            new AbortMultipartUploadCommand({
+              Bucket: this.bucket,
+              Key: file.key,
+              UploadId: file.uploadId,
+            })
+          )
+          .catch(() => {});
+      }
+      this.emit("failed", { key: file.key, error });
+    }
+  }
+
+  /**
+   * Sends a request of a file's upload, retrying failures with exponential
+   * backoff
+   * @private
+   */
+  async _send(file, command) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.client.send(command);
+      } catch (error) {
+        if (attempt > this.maxRetries) {
+          throw error;
+        }
+
+        const delay = Math.min(
+          this.maxRetryDelay,
+          this.minRetryDelay * Math.pow(2, attempt - 1)
+        );
+        this._stats.retries++;
+        this.emit("retry", { key: file.key, attempt, delay, error });
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Forgets the chunks of a file that are not part of an upload
+   * @private
+   */
+  _releaseChunks(file) {
+    this._bufferedBytes -= file.chunkBytes;
+    file.chunks = [];
+    file.chunkBytes = 0;
+  }
+
+  /**
+   * Content type, server-side encryption and metadata of an upload
+   * @private
+   */
+  _objectParams(file) {
+    if (file.encryptor) {
+      return {
+        ContentType: encryption.CONTENT_TYPE_ENCRYPTED,
+        Metadata: encryption.objectMetadata(file.encryptor.keyId),
+        ...sseParams(this.sse),
+      };
+    }
+    return {
+      ContentType: this.compress ? CONTENT_TYPE_GZIP : CONTENT_TYPE_PLAIN_TEXT,
+      ...sseParams(this.sse),
+    };
+  }
+}
+
+module.exports = {
+  S3Transport,
+};
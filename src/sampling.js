@@ -0,0 +1,333 @@
+const crypto = require("crypto");
+const winston = require("winston");
+const { parseDuration, wildcardToRegExp } = require("./utils");
+
+const LEVEL = Symbol.for("level");
+// entries logged by the sampler itself (repeat summaries, reports) bypass it
+const SAMPLER_ENTRY = Symbol("lognexus.samplerEntry");
+
+/**
+ * Parses sampling rules such as "debug=0.1,info=0.25"
+ * @param {String|Object|Array} spec - Rule string, { level: rate } object or array of { level, namespace, rate }
+ * @returns {Array} - Rules ({ levels, namespaces, rate }) in declaration order
+ * @throws Will throw an error if a rule is malformed or its rate is not between 0 and 1
+ */
+function parseSampleRules(spec) {
+  if (!spec) {
+    return [];
+  }
+
+  let rules;
+  if (Array.isArray(spec)) {
+    rules = spec;
+  } else if (typeof spec === "object") {
+    rules = Object.entries(spec).map(([level, rate]) => ({ level, rate }));
+  } else {
+    rules = String(spec)
+      .split(/[,\s]+/)
+      .filter(Boolean)
+      .map((rule) => {
+        const [level, rate] = rule.split("=");
+        if (!level || rate === undefined) {
+          throw new Error(`Invalid sampling rule "${rule}".`);
+        }
+        return { level, rate };
+      });
+  }
+
+  return rules.map((rule) => {
+    const rate = Number(rule.rate);
+    if (isNaN(rate) || rate < 0 || rate > 1) {
+      throw new Error(`Invalid sampling rate "${rule.rate}".`);
+    }
+    return {
+      levels: rule.level ? [].concat(rule.level) : null,
+      namespaces: rule.namespace
+        ? [].concat(rule.namespace).map(wildcardToRegExp)
+        : null,
+      rate,
+    };
+  });
+}
+
+/**
+ * Creates a sampler deciding which entries are logged. Entries are
+ * deduplicated first (repeats of a message within the window are collapsed
+ * into one entry with a `repeated` count), then sampled and rate limited;
+ * entries at `keepLevel` or above are never sampled or rate limited.
+ * Counters of suppressed entries are logged periodically.
+ * @param {Object} options - Sampling options
+ * @param {String|Object|Array} options.rules - Sample rates per level and namespace (see parseSampleRules); later rules win
+ * @param {Object} options.rateLimit - Token bucket limit
+ * @param {Number} options.rateLimit.perSecond - Entries per second (0 disables the limit)
+ * @param {Number} options.rateLimit.burst - Bucket size (default: perSecond)
+ * @param {String} options.rateLimit.per - One bucket per 'namespace' (default), 'level' or 'global'
+ * @param {Object} options.dedup - Duplicate suppression
+ * @param {String|Number} options.dedup.window - How long repeats of a message are collapsed ('5s', 5000; 0 disables)
+ * @param {Number} options.dedup.maxKeys - Maximum number of distinct messages tracked at once
+ * @param {String} options.keepLevel - Entries at this level or more severe are always kept (default: 'error')
+ * @param {String|Number} options.reportEvery - How often suppression counters are logged (default: '1m')
+ * @param {String} options.reportLevel - Level of the counter entries (default: 'warn')
+ * @param {Object} options.levels - Level priorities (default: npm levels)
+ * @returns {Object} - Sampler
+ */
+function createSampler(options = {}) {
+  const levels = options.levels || winston.config.npm.levels;
+  const keepLevel =
+    options.keepLevel === undefined ? "error" : options.keepLevel;
+  const rules = parseSampleRules(options.rules);
+  const rateLimit = options.rateLimit || {};
+  const perSecond = Number(rateLimit.perSecond) || 0;
+  const burst = Number(rateLimit.burst) || perSecond;
+  const per = rateLimit.per || "namespace";
+  const dedup = options.dedup || {};
+  const dedupWindow = parseDuration(dedup.window, 0);
+  const maxKeys = dedup.maxKeys || 1000;
+  const reportEvery = parseDuration(options.reportEvery, 60 * 1000);
+  const reportLevel = options.reportLevel || "warn";
+
+  if (keepLevel && levels[keepLevel] === undefined) {
+    throw new Error(`Unknown log level "${keepLevel}".`);
+  }
+
+  const rates = new Map();
+  const buckets = new Map();
+  const repeats = new Map();
+  const totals = { sampled: 0, rateLimited: 0, deduplicated: 0 };
+  let unreported = { sampled: 0, rateLimited: 0, deduplicated: 0 };
+  let logger = null;
+  let timers = [];
+
+  const rateFor = (level, namespace) => {
+    const key = `${level}\u0000${namespace || ""}`;
+    if (!rates.has(key)) {
+      let rate = 1;
+      for (const rule of rules) {
+        if (
+          (!rule.levels || rule.levels.includes(level)) &&
+          (!rule.namespaces ||
+            rule.namespaces.some((regex) => regex.test(namespace || "")))
+        ) {
+          rate = rule.rate;
+        }
+      }
+      rates.set(key, rate);
+    }
+    return rates.get(key);
+  };
+
+  const takeToken = (level, namespace) => {
+    const key =
+      per === "global" ? "" : per === "level" ? level : namespace || "";
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updated: now };
+      buckets.set(key, bucket);
+    }
+
+    bucket.tokens = Math.min(
+      burst,
+      bucket.tokens + ((now - bucket.updated) / 1000) * perSecond
+    );
+    bucket.updated = now;
+    if (bucket.tokens < 1) {
+      return false;
+    }
+    bucket.tokens--;
+    return true;
+  };
+
+  const suppress = (reason) => {
+    totals[reason]++;
+    unreported[reason]++;
+    return false;
+  };
+
+  /**
+   * Decides whether an entry is logged
+   * @param {Object} info - Log entry
+   * @returns {Object|Boolean} - The entry, or false when it is suppressed
+   */
+  function sample(info) {
+    if (info[SAMPLER_ENTRY]) {
+      return info;
+    }
+
+    const level = info[LEVEL] || info.level;
+    if (dedupWindow && _isRepeat(info, level)) {
+      return suppress("deduplicated");
+    }
+
+    if (keepLevel && levels[level] <= levels[keepLevel]) {
+      return info;
+    }
+
+    const rate = rules.length ? rateFor(level, info.namespace) : 1;
+    if (rate < 1 && _fraction(info) >= rate) {
+      return suppress("sampled");
+    }
+    if (perSecond && !takeToken(level, info.namespace)) {
+      return suppress("rateLimited");
+    }
+    return info;
+  }
+
+  /**
+   * @private
+   */
+  function _isRepeat(info, level) {
+    const key = `${level}\u0000${info.namespace || ""}\u0000${_messageKey(
+      info.message
+    )}`;
+    const seen = repeats.get(key);
+    if (seen) {
+      seen.count++;
+      return true;
+    }
+
+    // past the limit, the oldest message is reported early to make room
+    if (repeats.size >= maxKeys) {
+      const [oldestKey, oldest] = repeats.entries().next().value;
+      repeats.delete(oldestKey);
+      _logRepeats(oldest);
+    }
+    repeats.set(key, { info: { ...info }, first: Date.now(), count: 0 });
+    return false;
+  }
+
+  /**
+   * Logs one entry with a `repeated` count for every message whose window
+   * has ended (or for all of them)
+   * @private
+   */
+  function _flushRepeats(all) {
+    const now = Date.now();
+    for (const [key, seen] of repeats) {
+      if (!all && now - seen.first < dedupWindow) {
+        continue;
+      }
+      repeats.delete(key);
+      _logRepeats(seen);
+    }
+  }
+
+  /**
+   * @private
+   */
+  function _logRepeats(seen) {
+    if (seen.count && logger && logger.writable) {
+      logger.log({ ...seen.info, repeated: seen.count, [SAMPLER_ENTRY]: true });
+    }
+  }
+
+  /**
+   * Logs the counters of entries suppressed since the last report
+   * @private
+   */
+  function _report() {
+    const suppressed = unreported;
+    if (!suppressed.sampled && !suppressed.rateLimited) {
+      // repeats are already reported through their `repeated` entries
+      return;
+    }
+
+    unreported = { sampled: 0, rateLimited: 0, deduplicated: 0 };
+    if (logger && logger.writable) {
+      logger.log({
+        level: reportLevel,
+        message: "Log entries suppressed",
+        namespace: "lognexus",
+        suppressed,
+        [SAMPLER_ENTRY]: true,
+      });
+    }
+  }
+
+  /**
+   * Starts the timers logging repeat counts and suppression counters
+   * @param {Object} target - Logger the sampler's own entries are written to
+   */
+  function start(target) {
+    logger = target;
+    if (timers.length) {
+      return;
+    }
+
+    if (dedupWindow) {
+      timers.push(setInterval(() => _flushRepeats(false), dedupWindow));
+    }
+    if (reportEvery) {
+      timers.push(setInterval(_report, reportEvery));
+    }
+    timers.forEach((timer) => timer.unref());
+  }
+
+  /**
+   * Stops the timers and logs pending repeat counts and counters
+   */
+  function stop() {
+    timers.forEach((timer) => clearInterval(timer));
+    timers = [];
+    _flushRepeats(true);
+    _report();
+  }
+
+  /**
+   * Returns the number of entries suppressed since the sampler was created
+   * @returns {Object} - { sampled, rateLimited, deduplicated, trackedMessages }
+   */
+  function getStats() {
+    return { ...totals, trackedMessages: repeats.size };
+  }
+
+  return {
+    enabled: Boolean(rules.length || perSecond || dedupWindow),
+    sample,
+    start,
+    stop,
+    getStats,
+  };
+}
+
+/**
+ * Creates a Winston format dropping the entries the sampler suppresses
+ * @param {Object} sampler - Sampler returned by createSampler
+ * @returns {Object} - Winston format instance
+ */
+function format(sampler) {
+  return winston.format((info) => sampler.sample(info))();
+}
+
+/**
+ * Returns a number in [0, 1) deciding whether an entry is sampled. Entries
+ * of one request share the number, so a request is kept or dropped as a whole.
+ * @private
+ */
+function _fraction(info) {
+  if (!info.requestId) {
+    return Math.random();
+  }
+  const hash = crypto.createHash("md5").update(String(info.requestId));
+  return hash.digest().readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * @private
+ */
+function _messageKey(message) {
+  if (typeof message === "string") {
+    return message;
+  }
+  try {
+    return JSON.stringify(message);
+  } catch (err) {
+    return String(message);
+  }
+}
+
+module.exports = {
+  parseSampleRules,
+  createSampler,
+  format,
+};
@@ -0,0 +1,258 @@
+const winston = require("winston");
+
+const LEVEL = Symbol.for("level");
+const SPLAT = Symbol.for("splat");
+
+const MAX_DEPTH = 5;
+
+// set by Error itself or handled separately below
+const RESERVED_KEYS = ["name", "message", "stack", "cause", "errors"];
+
+/**
+ * Serializes an error into a plain object with a stable schema:
+ * { name, message, stack, ...custom fields, cause, errors }. Custom fields
+ * such as `code`, `statusCode` or `response.data` are kept, `cause` chains
+ * and `AggregateError.errors` are walked, and circular references are
+ * replaced by '[Circular]'. Values that are not errors are wrapped as
+ * { message }.
+ * @param {*} error - Error (or thrown value) to serialize
+ * @param {Object} options - Serialization options
+ * @param {Number} options.maxDepth - Maximum nesting of causes and custom fields (default: 5)
+ * @returns {Object} - Serialized error
+ */
+function serializeError(error, options = {}) {
+  const state = {
+    maxDepth: options.maxDepth || MAX_DEPTH,
+    path: new WeakSet(),
+  };
+
+  if (!_isError(error)) {
+    return { message: _describe(error) };
+  }
+  return _serializeError(error, state, 0);
+}
+
+/**
+ * Creates a Winston format serializing errors wherever they appear in an
+ * entry: as the entry itself (`logger.error(err)`), as its metadata
+ * (`logger.error('Failed', err)`), nested in metadata
+ * (`logger.error('Failed', { err })`) or among console arguments. The
+ * first two end up under `error`.
+ * @param {Object} options - Serialization options (see serializeError)
+ * @returns {Object} - Winston format instance
+ */
+function format(options = {}) {
+  return winston.format((entry) => {
+    let info = entry;
+    if (entry instanceof Error) {
+      const error = serializeError(entry, options);
+      info = {
+        level: entry.level,
+        [LEVEL]: entry[LEVEL] || entry.level,
+        message: entry.message,
+        error,
+      };
+    }
+
+    if (info.message instanceof Error) {
+      const error = info.message;
+      info.message = error.message;
+      info.error = serializeError(error, options);
+    }
+
+    // Winston copies an error passed as metadata into the entry (its
+    // enumerable fields, stack and cause, and its message appended to the
+    // entry's); keep the message, move the rest under `error`.
+    const meta = info[SPLAT] && info[SPLAT][0];
+    if (_isError(meta) && info.error === undefined) {
+      for (const key of [...Object.keys(meta), "stack", "cause"]) {
+        if (key !== "level" && info[key] === meta[key]) {
+          delete info[key];
+        }
+      }
+      info.error = serializeError(meta, options);
+    }
+
+    const state = {
+      maxDepth: options.maxDepth || MAX_DEPTH,
+      path: new WeakSet(),
+    };
+    for (const key of Object.keys(info)) {
+      info[key] = _replaceErrors(info[key], state, 0);
+    }
+    return info;
+  })();
+}
+
+/**
+ * @private
+ */
+function _serializeError(error, state, depth) {
+  if (state.path.has(error)) {
+    return "[Circular]";
+  }
+  if (depth > state.maxDepth) {
+    return { name: _name(error), message: String(error.message) };
+  }
+  state.path.add(error);
+
+  const serialized = {
+    name: _name(error),
+    message: error.message === undefined ? "" : String(error.message),
+  };
+  if (error.stack) {
+    serialized.stack = String(error.stack);
+  }
+
+  // Winston sets `level` on errors logged directly (`logger.error(err)`)
+  const logged = error[LEVEL] !== undefined;
+  for (const key of Object.keys(error)) {
+    if (!RESERVED_KEYS.includes(key) && !(logged && key === "level")) {
+      serialized[key] = _sanitize(error[key], state, depth + 1);
+    }
+  }
+
+  if (error.cause !== undefined) {
+    serialized.cause = _isError(error.cause)
+      ? _serializeError(error.cause, state, depth + 1)
+      : _sanitize(error.cause, state, depth + 1);
+  }
+  if (Array.isArray(error.errors)) {
+    serialized.errors = error.errors.map((inner) =>
+      _isError(inner)
+        ? _serializeError(inner, state, depth + 1)
+        : _sanitize(inner, state, depth + 1)
+    );
+  }
+
+  state.path.delete(error);
+  return serialized;
+}
+
+/**
+ * Converts a custom error field into JSON-friendly data. Plain objects and
+ * arrays are copied; other class instances (sockets, requests, clients) are
+ * replaced by their class name.
+ * @private
+ */
+function _sanitize(value, state, depth) {
+  if (value === null || typeof value !== "object") {
+    if (typeof value === "function") {
+      return undefined;
+    }
+    return typeof value === "bigint" ? value.toString() : value;
+  }
+
+  if (_isError(value)) {
+    return _serializeError(value, state, depth);
+  }
+  if (value instanceof Date) {
+    return value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (state.path.has(value)) {
+    return "[Circular]";
+  }
+  if (!Array.isArray(value) && !_isPlainObject(value)) {
+    return `[${(value.constructor && value.constructor.name) || "Object"}]`;
+  }
+  if (depth > state.maxDepth) {
+    return Array.isArray(value) ? "[Array]" : "[Object]";
+  }
+
+  state.path.add(value);
+  let copy;
+  if (Array.isArray(value)) {
+    copy = value.map((item) => _sanitize(item, state, depth + 1));
+  } else {
+    copy = {};
+    for (const key of Object.keys(value)) {
+      const sanitized = _sanitize(value[key], state, depth + 1);
+      if (sanitized !== undefined) {
+        copy[key] = sanitized;
+      }
+    }
+  }
+  state.path.delete(value);
+  return copy;
+}
+
+/**
+ * Returns the value with every nested error serialized, copying the plain
+ * objects and arrays on the way so that the caller's objects are not modified
+ * @private
+ */
+function _replaceErrors(value, state, depth) {
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (_isError(value)) {
+    return _serializeError(value, state, 0);
+  }
+  if (
+    depth >= state.maxDepth ||
+    state.path.has(value) ||
+    (!Array.isArray(value) && !_isPlainObject(value))
+  ) {
+    return value;
+  }
+
+  state.path.add(value);
+  let copy = null;
+  const keys = Object.keys(value);
+  for (const key of keys) {
+    const replaced = _replaceErrors(value[key], state, depth + 1);
+    if (replaced !== value[key]) {
+      copy = copy || (Array.isArray(value) ? [...value] : { ...value });
+      copy[key] = replaced;
+    }
+  }
+  state.path.delete(value);
+  return copy || value;
+}
+
+/**
+ * @private
+ */
+function _isError(value) {
+  return (
+    value instanceof Error ||
+    Object.prototype.toString.call(value) === "[object Error]"
+  );
+}
+
+/**
+ * @private
+ */
+function _isPlainObject(value) {
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * @private
+ */
+function _name(error) {
+  return error.name || (error.constructor && error.constructor.name) || "Error";
+}
+
+/**
+ * @private
+ */
+function _describe(value) {
+  if (typeof value === "string") {
+    return value;
+  }
+  try {
+    return JSON.stringify(value) || String(value);
+  } catch (err) {
+    return String(value);
+  }
+}
+
+module.exports = {
+  serializeError,
+  format,
+};
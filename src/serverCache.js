@@ -34,6 +34,18 @@ function initCacheClear(interval = 3 * 60 * 60 * 1000) {
   return cacheInterval;
 }
 
+/**
+ * Starts periodic cache clearing for one logger instance, independently of
+ * the module-wide interval of initCacheClear
+ * @param {Number} interval - Interval in milliseconds
+ * @returns {Function} - Function stopping this interval
+ */
+function scheduleCacheClear(interval = 3 * 60 * 60 * 1000) {
+  const timer = setInterval(clearCache, interval);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
 function stopCacheClear() {
   if (cacheInterval) {
     clearInterval(cacheInterval);
@@ -44,5 +56,6 @@ function stopCacheClear() {
 module.exports = {
   clearCache,
   initCacheClear,
+  scheduleCacheClear,
   stopCacheClear,
 };
@@ -0,0 +1,510 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const { Writable } = require("stream");
+const { S3Client } = require("@aws-sdk/client-s3");
+const { buildKey } = require("./nameFormat");
+const { createS3Storage } = require("./storage");
+const { parseDuration } = require("./utils");
+const encryption = require("./encryption");
+
+const gzip = promisify(zlib.gzip);
+
+// <started>-<pid>-<sequence>.log, plus -<claimed> once replayed
+const SEGMENT_PATTERN = /^(\d+)-(\d+)-\d+(?:-(\d+))?\.log$/;
+const CONTENT_TYPE_PLAIN_TEXT = "text/plain;charset=utf-8";
+
+/**
+ * Creates a writable stream that spools log entries to disk before uploading
+ * them to S3 (or another storage backend). Files that fail to upload are retried with exponential backoff
+ * and files left over by a process that is no longer running are replayed on
+ * start. Processes may share a spool directory: each one only replays the
+ * files of dead writers, and claims them by renaming them first.
+ *
+ * Emits:
+ * - 'uploaded' ({ key, file, bytes }) after every successful upload
+ * - 'retry' ({ key, attempt, delay, error }) when an upload failed and is scheduled again
+ * - 'drop' ({ reason, bytes, file }) when entries or spooled files are discarded
+ * - 'backlog' ({ pending, spoolSize, oldest }) when delivery falls behind
+ * - 'recovered' ({ pending, spoolSize }) when the backlog has been delivered
+ *
+ * @param {Object} options - Spool options
+ * @param {String} options.dir - Spool directory
+ * @param {String} options.bucket - S3 bucket name
+ * @param {String} options.folder - S3 folder path for logs
+ * @param {String} options.name_format - Format for log file names
+ * @param {String|Number} options.rotate_every - Rotation period ('1h', '1d' or milliseconds)
+ * @param {Number} options.max_file_size - Maximum file size in bytes
+ * @param {Number} options.upload_every - Upload interval in milliseconds
+ * @param {Boolean} options.compress - Whether to compress log files
+ * @param {Object} options.encryption - Key provider encrypting every file before upload (see encryption.resolveKeyProvider)
+ * @param {String|Object} options.sse - Server-side encryption of S3 uploads (see s3Client.sseParams)
+ * @param {Number} options.max_spool_size - Maximum size of the spool directory in bytes
+ * @param {String} options.drop_policy - What to discard when the spool is full ('oldest' or 'newest')
+ * @param {Number} options.min_retry_delay - First retry delay in milliseconds
+ * @param {Number} options.max_retry_delay - Maximum retry delay in milliseconds
+ * @param {Number} options.backlog_threshold - Number of pending files that counts as falling behind
+ * @param {Object} options.config - S3Client configuration (region, credentials, endpoint, ...)
+ * @param {Object} options.client - Preconfigured S3Client (overrides options.config)
+ * @param {Object} options.storage - Storage backend receiving the files (overrides the S3 options)
+ * @returns {Object} - Writable stream with `flushFile(cb)`, `getStats()` and `close()`
+ */
+function createSpoolStream(options = {}) {
+  if (!options.dir) {
+    throw new Error("Spool directory is required.");
+  }
+
+  const dir = options.dir;
+  const bucket = options.bucket;
+  const folder = options.folder || "";
+  const nameFormat = options.name_format || "%Y-%m-%d-%H-%M-%S-%L.log";
+  const rotateEvery = parseDuration(options.rotate_every, 60 * 60 * 1000);
+  const maxFileSize = options.max_file_size || 5 * 1024 * 1024;
+  const uploadEvery = parseDuration(options.upload_every, 20 * 1000);
+  const compress = options.compress || false;
+  const keyProvider = options.encryption || null;
+  const maxSpoolSize = options.max_spool_size || 100 * 1024 * 1024;
+  const dropPolicy = options.drop_policy === "newest" ? "newest" : "oldest";
+  const minRetryDelay = options.min_retry_delay || 1000;
+  const maxRetryDelay = options.max_retry_delay || 5 * 60 * 1000;
+  const backlogThreshold = options.backlog_threshold || 10;
+  const storage =
+    options.storage ||
+    createS3Storage({
+      awsConfig: { bucketName: bucket },
+      client: options.client || new S3Client(options.config || {}),
+    });
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  let current = null;
+  let pending = [];
+  let spoolSize = 0;
+  // instances in one process share the pid; a random start keeps their file
+  // names apart
+  let sequence = Math.floor(Math.random() * 1e9);
+  // keys of segments that are not fully uploaded yet
+  const claimedKeys = new Set();
+  let inFlight = null;
+  let running = null;
+  let attempt = 0;
+  let retryTimer = null;
+  let lastUpload = Date.now();
+  let behind = false;
+  let closed = false;
+
+  const stats = {
+    uploaded: 0,
+    uploadedBytes: 0,
+    failed: 0,
+    dropped: 0,
+    droppedBytes: 0,
+  };
+
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      _append(chunk);
+      callback();
+    },
+    final(callback) {
+      close();
+      _finalizeCurrent();
+      _drain(false).then(
+        () => callback(),
+        () => callback()
+      );
+    },
+  });
+
+  function _append(chunk) {
+    if (!current) {
+      _openSegment();
+    }
+
+    if (spoolSize + chunk.length > maxSpoolSize) {
+      _makeRoom(chunk.length);
+    }
+
+    if (spoolSize + chunk.length > maxSpoolSize) {
+      _drop("spool_full", chunk.length);
+      return;
+    }
+
+    try {
+      fs.writeSync(current.fd, chunk);
+    } catch (error) {
+      _drop("write_failed", chunk.length, null, error);
+      return;
+    }
+
+    current.size += chunk.length;
+    current.dirty = true;
+    spoolSize += chunk.length;
+
+    if (
+      current.size >= maxFileSize ||
+      Date.now() - current.started >= rotateEvery
+    ) {
+      _finalizeCurrent();
+      _schedule(0);
+    }
+  }
+
+  function _openSegment() {
+    const started = Date.now();
+    const file = path.join(dir, `${started}-${process.pid}-${sequence++}.log`);
+    current = {
+      file,
+      started,
+      size: 0,
+      dirty: false,
+      fd: fs.openSync(file, "a"),
+    };
+  }
+
+  function _finalizeCurrent() {
+    if (!current) {
+      return;
+    }
+
+    fs.closeSync(current.fd);
+    if (current.size > 0) {
+      // the same object, so that a key picked by an upload of the open
+      // segment still in progress carries over
+      pending.push(current);
+    } else {
+      _unlink(current.file);
+    }
+    current = null;
+    _checkBacklog();
+  }
+
+  function _makeRoom(bytes) {
+    if (dropPolicy !== "oldest") {
+      return;
+    }
+
+    while (spoolSize + bytes > maxSpoolSize) {
+      const index = pending.findIndex((segment) => segment !== inFlight);
+      if (index === -1) {
+        return;
+      }
+
+      const [segment] = pending.splice(index, 1);
+      spoolSize -= segment.size;
+      claimedKeys.delete(segment.key);
+      _unlink(segment.file);
+      _drop("spool_full", segment.size, segment.file);
+    }
+  }
+
+  function _drop(reason, bytes, file, error) {
+    stats.dropped++;
+    stats.droppedBytes += bytes;
+    stream.emit("drop", { reason, bytes, file, error });
+  }
+
+  async function _upload(segment) {
+    if (!segment.key) {
+      segment.key = await _claimKey(segment.started);
+    }
+    const key = segment.key;
+    const content = await fs.promises.readFile(segment.file);
+    let body = compress ? await gzip(content) : content;
+    const putOptions = {
+      contentType: compress ? undefined : CONTENT_TYPE_PLAIN_TEXT,
+      sse: options.sse,
+    };
+
+    // spooled files stay in plain text on this host; they are encrypted as
+    // they leave it
+    if (keyProvider) {
+      const encrypted = await encryption.encrypt(body, keyProvider);
+      body = encrypted.body;
+      putOptions.contentType = encryption.CONTENT_TYPE_ENCRYPTED;
+      putOptions.metadata = encryption.objectMetadata(encrypted.keyId);
+    }
+
+    await storage.put(key, body, putOptions);
+
+    stats.uploaded++;
+    stats.uploadedBytes += body.length;
+    stream.emit("uploaded", { key, file: segment.file, bytes: body.length });
+  }
+
+  // Segments started within the resolution of the name format (size
+  // rotation, flush, replay) share a name, so the key is picked on the first
+  // upload: later ones are numbered '.1', '.2', ... past every file already
+  // stored under the name, including those of earlier processes.
+  async function _claimKey(started) {
+    const baseKey = buildKey(folder, nameFormat, started);
+    const taken = new Set(claimedKeys);
+    for (const object of await storage.list(baseKey)) {
+      taken.add(object.key);
+    }
+
+    let key = baseKey;
+    for (let number = 1; taken.has(key); number++) {
+      key = `${baseKey}.${number}`;
+    }
+    claimedKeys.add(key);
+    return key;
+  }
+
+  function _drain(includeCurrent) {
+    if (running) {
+      return running;
+    }
+
+    running = (async () => {
+      while (pending.length) {
+        const segment = pending[0];
+        inFlight = segment;
+        await _upload(segment);
+        inFlight = null;
+
+        // the segment may have been dropped while it was uploading
+        const index = pending.indexOf(segment);
+        if (index !== -1) {
+          pending.splice(index, 1);
+          spoolSize -= segment.size;
+        }
+        claimedKeys.delete(segment.key);
+        _unlink(segment.file);
+      }
+
+      if (includeCurrent && current && current.dirty) {
+        current.dirty = false;
+        try {
+          await _upload(current);
+        } catch (error) {
+          if (current) {
+            current.dirty = true;
+          }
+          throw error;
+        }
+      }
+
+      lastUpload = Date.now();
+      attempt = 0;
+      _checkBacklog();
+    })()
+      .catch((error) => {
+        _retryLater(error);
+        throw error;
+      })
+      .finally(() => {
+        inFlight = null;
+        running = null;
+      });
+
+    return running;
+  }
+
+  function _run(includeCurrent) {
+    // failures are retried by _drain itself
+    _drain(includeCurrent).catch(() => {});
+  }
+
+  function _retryLater(error) {
+    stats.failed++;
+    attempt++;
+    const delay = Math.min(
+      maxRetryDelay,
+      minRetryDelay * Math.pow(2, attempt - 1)
+    );
+    const segment = pending[0] || current;
+    stream.emit("retry", {
+      key:
+        segment &&
+        (segment.key || buildKey(folder, nameFormat, segment.started)),
+      attempt,
+      delay,
+      error,
+    });
+    _checkBacklog();
+    _schedule(delay, true);
+  }
+
+  function _schedule(delay, force) {
+    if (closed) {
+      return;
+    }
+
+    if (retryTimer) {
+      if (!force) {
+        return;
+      }
+      clearTimeout(retryTimer);
+    }
+
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      _run(true);
+    }, delay);
+    retryTimer.unref();
+  }
+
+  function _tick() {
+    if (current && Date.now() - current.started >= rotateEvery) {
+      _finalizeCurrent();
+    }
+
+    // while retrying, the backoff timer decides when to try again
+    if (attempt > 0) {
+      return;
+    }
+
+    if (pending.length || Date.now() - lastUpload >= uploadEvery) {
+      _run(true);
+    }
+  }
+
+  function _checkBacklog() {
+    if (!behind && (pending.length >= backlogThreshold || attempt > 0)) {
+      behind = true;
+      stream.emit("backlog", {
+        pending: pending.length,
+        spoolSize,
+        oldest: pending.length ? new Date(pending[0].started) : null,
+      });
+    } else if (behind && attempt === 0 && pending.length === 0) {
+      behind = false;
+      stream.emit("recovered", { pending: 0, spoolSize });
+    }
+  }
+
+  function _unlink(file) {
+    try {
+      fs.unlinkSync(file);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+
+  function _replay() {
+    const files = fs
+      .readdirSync(dir)
+      .filter((name) => SEGMENT_PATTERN.test(name))
+      .sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+
+    const processStarted = Date.now() - process.uptime() * 1000;
+    for (const name of files) {
+      const [, started, pid, claimed] = SEGMENT_PATTERN.exec(name);
+      // another process's segment, or one of another instance in this
+      // process; files with this pid from before the process started were
+      // left by an earlier process that had the same pid
+      if (
+        +pid === process.pid
+          ? +(claimed || started) >= processStarted
+          : _isRunning(+pid)
+      ) {
+        continue;
+      }
+
+      const file = path.join(
+        dir,
+        `${started}-${process.pid}-${sequence++}-${Date.now()}.log`
+      );
+      try {
+        fs.renameSync(path.join(dir, name), file);
+      } catch (error) {
+        // claimed by another process replaying at the same time
+        if (error.code === "ENOENT") {
+          continue;
+        }
+        throw error;
+      }
+
+      const size = fs.statSync(file).size;
+      if (!size) {
+        _unlink(file);
+        continue;
+      }
+
+      pending.push({ file, started: +started, size });
+      spoolSize += size;
+    }
+  }
+
+  /**
+   * Closes the current file and uploads everything spooled so far
+   * @param {Function} cb - Callback (err)
+   */
+  function flushFile(cb) {
+    _finalizeCurrent();
+    (async () => {
+      // a drain that was already running may finish before reaching the
+      // file that was just closed
+      while (pending.length) {
+        await _drain(false);
+      }
+    })().then(
+      () => cb && cb(null),
+      (error) => cb && cb(error)
+    );
+  }
+
+  /**
+   * Returns delivery statistics
+   * @returns {Object} - Upload, failure, drop and backlog counters
+   */
+  function getStats() {
+    return {
+      ...stats,
+      pending: pending.length + (current && current.dirty ? 1 : 0),
+      spoolSize,
+      retrying: attempt > 0,
+    };
+  }
+
+  /**
+   * Stops the background upload timers
+   */
+  function close() {
+    closed = true;
+    clearInterval(interval);
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+  }
+
+  _replay();
+
+  const interval = setInterval(_tick, Math.min(uploadEvery, rotateEvery));
+  interval.unref();
+
+  if (pending.length) {
+    // let the caller attach listeners before reporting the replayed backlog
+    process.nextTick(_checkBacklog);
+    _schedule(0);
+  }
+
+  stream.flushFile = flushFile;
+  stream.getStats = getStats;
+  stream.close = close;
+
+  return stream;
+}
+
+/**
+ * Checks whether a process is still running
+ * @private
+ */
+function _isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // it exists, but belongs to another user
+    return error.code === "EPERM";
+  }
+}
+
+module.exports = {
+  createSpoolStream,
+};
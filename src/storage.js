@@ -0,0 +1,345 @@
+/**
+ * Storage backends holding the log archive. The write path (spool) puts files
+ * and the read path (downloads, queries, CLI) lists and reads them, so the
+ * same archive can live in AWS S3, an S3-compatible server or a local
+ * directory. Every backend implements:
+ *
+ * - put(key, body, { contentType, metadata, sse }) => Promise, where body is
+ *   a Buffer or a Readable (compaction streams archives of unknown length)
+ * - get(key) => Promise<Readable>
+ * - list(prefix) => Promise<Array<{ key, size, lastModified, etag }>>, where
+ *   etag is only known to S3
+ * - delete(key) => Promise (used by retention and compaction)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const stream = require("stream");
+const { promisify } = require("util");
+const {
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  UploadPartCommand,
+} = require("@aws-sdk/client-s3");
+const {
+  resolveAwsConfig,
+  createClient,
+  listObjects,
+  sseParams,
+} = require("./s3Client");
+const { untrackClient } = require("./outboundHttp");
+
+const pipeline = promisify(stream.pipeline);
+const PART_SIZE = 5 * 1024 * 1024; // S3's minimum for all but the last part
+
+/**
+ * Creates a storage backend
+ * @param {Object} options - Backend options
+ * @param {String} options.type - 's3' (default) or 'local'
+ * @param {String} options.dir - Archive directory (local backend)
+ * @param {Object} options.awsConfig - AWS settings (S3 backend, see s3Client.resolveAwsConfig)
+ * @param {Object} options.client - Preconfigured S3Client (S3 backend)
+ * @returns {Object} - Storage backend
+ * @throws Will throw an error if the type is unknown or required settings are missing
+ */
+function createStorage(options = {}) {
+  const type = options.type || "s3";
+
+  if (type === "local") {
+    return createLocalStorage(options);
+  }
+  if (type === "s3") {
+    return createS3Storage(options);
+  }
+
+  throw new Error(`Unknown storage type "${type}".`);
+}
+
+/**
+ * Resolves the backend used by the read path: an explicit backend or backend
+ * options, then the LOG_STORAGE env var, then S3 with the configured AWS
+ * settings
+ * @param {Object} options - { storage, awsConfig }
+ * @returns {Object} - Storage backend
+ */
+function resolveStorage(options = {}) {
+  const { storage } = options;
+
+  if (storage && typeof storage.list === "function") {
+    return storage;
+  }
+  if (storage) {
+    return createStorage({ awsConfig: options.awsConfig, ...storage });
+  }
+  if (process.env.LOG_STORAGE === "local") {
+    return createLocalStorage({
+      dir:
+        process.env.LOG_STORAGE_DIR || path.join(process.cwd(), "log-archive"),
+    });
+  }
+  return createS3Storage({ awsConfig: options.awsConfig });
+}
+
+/**
+ * Creates a backend storing the archive in an S3 bucket. Credentials are
+ * optional: without them the AWS SDK's default provider chain is used
+ * (environment, shared config, IAM roles, ...).
+ * @param {Object} options - Backend options
+ * @param {Object} options.awsConfig - AWS settings (bucketName, region, credentials, endpoint, forcePathStyle)
+ * @param {Object} options.client - Preconfigured S3Client
+ * @returns {Object} - Storage backend
+ */
+function createS3Storage(options = {}) {
+  const awsConfig = resolveAwsConfig(options.awsConfig);
+  const client = untrackClient(options.client || createClient(awsConfig));
+  const bucket = awsConfig.bucketName;
+
+  if (!bucket) {
+    throw new Error("Missing AWS S3 configuration.");
+  }
+
+  return {
+    type: "s3",
+    location: `s3://${bucket}/`,
+    client,
+
+    async put(key, body, putOptions = {}) {
+      const params = {
+        Bucket: bucket,
+        Key: key,
+        ...sseParams(putOptions.sse),
+      };
+      if (putOptions.contentType) {
+        params.ContentType = putOptions.contentType;
+      }
+      if (putOptions.metadata) {
+        params.Metadata = putOptions.metadata;
+      }
+      if (_isStream(body)) {
+        await _putStream(client, params, body);
+      } else {
+        await client.send(new PutObjectCommand({ ...params, Body: body }));
+      }
+    },
+
+    async get(key) {
+      const response = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return response.Body;
+    },
+
+    async list(prefix) {
+      const objects = await listObjects(client, bucket, prefix);
+      return objects.map((object) => ({
+        key: object.Key,
+        size: object.Size,
+        lastModified: object.LastModified,
+        etag: object.ETag,
+      }));
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+}
+
+/**
+ * Creates a backend storing the archive in a local directory, with keys as
+ * relative paths. Useful in development and CI, and to run the whole
+ * pipeline offline.
+ * @param {Object} options - Backend options
+ * @param {String} options.dir - Archive directory
+ * @returns {Object} - Storage backend
+ */
+function createLocalStorage(options = {}) {
+  if (!options.dir) {
+    throw new Error("Local storage directory is required.");
+  }
+
+  const root = path.resolve(options.dir);
+
+  const resolveKey = (key) => {
+    const file = path.resolve(root, String(key));
+    if (file !== root && !file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}".`);
+    }
+    return file;
+  };
+
+  return {
+    type: "local",
+    location: root + path.sep,
+
+    async put(key, body) {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+      // readers never see a partially written file
+      const partial = `${file}.${process.pid}.part`;
+      try {
+        if (_isStream(body)) {
+          await pipeline(body, fs.createWriteStream(partial));
+        } else {
+          await fs.promises.writeFile(partial, body);
+        }
+      } catch (err) {
+        await fs.promises.unlink(partial).catch(() => {});
+        throw err;
+      }
+      await fs.promises.rename(partial, file);
+    },
+
+    async get(key) {
+      const file = resolveKey(key);
+      await fs.promises.access(file, fs.constants.R_OK);
+      return fs.createReadStream(file);
+    },
+
+    async list(prefix = "") {
+      // the walk starts in the prefix's folder, so that looking up one key
+      // (e.g. by the spool, before every upload) does not read the archive
+      const folder = prefix.slice(0, prefix.lastIndexOf("/") + 1);
+      const files = await _walk(root, resolveKey(folder), prefix);
+      return files
+        .filter((file) => !file.key.endsWith(".part"))
+        .sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    async delete(key) {
+      await fs.promises.unlink(resolveKey(key)).catch((err) => {
+        // like S3, deleting a missing object succeeds
+        if (err.code !== "ENOENT") {
+          throw err;
+        }
+      });
+    },
+  };
+}
+
+/**
+ * Uploads a stream of unknown length in parts, holding one part in memory at
+ * a time. A stream shorter than one part is uploaded in a single request.
+ * @private
+ */
+async function _putStream(client, params, body) {
+  const { Bucket, Key } = params;
+  const parts = [];
+  let chunks = [];
+  let size = 0;
+  let uploadId = null;
+
+  const uploadPart = async () => {
+    const part = Buffer.concat(chunks);
+    chunks = [];
+    size = 0;
+
+    if (!uploadId) {
+      const upload = await client.send(
+        new CreateMultipartUploadCommand(params)
+      );
+      uploadId = upload.UploadId;
+    }
+    const partNumber = parts.length + 1;
+    const response = await client.send(
+      new UploadPartCommand({
+        Bucket,
+        Key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: part,
+      })
+    );
+    parts.push({ ETag: response.ETag, PartNumber: partNumber });
+  };
+
+  try {
+    for await (const chunk of body) {
+      chunks.push(Buffer.from(chunk));
+      size += chunk.length;
+      if (size >= PART_SIZE) {
+        await uploadPart();
+      }
+    }
+
+    if (!uploadId) {
+      await client.send(
+        new PutObjectCommand({ ...params, Body: Buffer.concat(chunks) })
+      );
+      return;
+    }
+    if (size) {
+      await uploadPart();
+    }
+    await client.send(
+      new CompleteMultipartUploadCommand({
+        Bucket,
+        Key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts },
+      })
+    );
+  } catch (err) {
+    body.destroy();
+    if (uploadId) {
+      await client
+        .send(
+          new AbortMultipartUploadCommand({ Bucket, Key, UploadId: uploadId })
+        )
+        .catch(() => {});
+    }
+    throw err;
+  }
+}
+
+/**
+ * @private
+ */
+function _isStream(body) {
+  return Boolean(body) && typeof body.pipe === "function";
+}
+
+/**
+ * Lists the files under a directory recursively whose keys (paths relative
+ * to the root) start with the prefix
+ * @private
+ */
+async function _walk(root, dir, prefix) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return [];
+    }
+    throw err;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const file = path.join(dir, entry.name);
+    const key = path.relative(root, file).split(path.sep).join("/");
+    if (entry.isDirectory()) {
+      // skip folders that can neither hold nor lead to a matching key
+      if (`${key}/`.startsWith(prefix) || prefix.startsWith(`${key}/`)) {
+        files.push(...(await _walk(root, file, prefix)));
+      }
+    } else if (entry.isFile() && key.startsWith(prefix)) {
+      const stats = await fs.promises.stat(file);
+      files.push({ key, size: stats.size, lastModified: stats.mtime });
+    }
+  }
+  return files;
+}
+
+module.exports = {
+  createStorage,
+  resolveStorage,
+  createS3Storage,
+  createLocalStorage,
+};
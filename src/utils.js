@@ -0,0 +1,101 @@
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+const DEFAULT_STATUS_LEVELS = {
+  "5xx": "error",
+  "4xx": "warn",
+  default: "info",
+};
+
+/**
+ * Parses a duration such as '15s', '30m', '1h' or '1d' into milliseconds.
+ * Numbers (and numeric strings) are treated as milliseconds.
+ * @param {String|Number} value - Duration
+ * @param {Number} fallback - Value returned when the duration cannot be parsed
+ * @returns {Number} - Duration in milliseconds
+ */
+function parseDuration(value, fallback) {
+  if (typeof value === "number") {
+    return isNaN(value) ? fallback : value;
+  }
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/i.exec(
+    String(value || "")
+  );
+  if (!match) {
+    return fallback;
+  }
+
+  const unit = (match[2] || "ms").toLowerCase();
+  return parseFloat(match[1]) * DURATION_UNITS[unit];
+}
+
+/**
+ * Converts a Date, date string or timestamp into milliseconds since the epoch
+ * @param {Date|String|Number} value - Date value
+ * @returns {Number|null} - Timestamp, or null when no value was given
+ * @throws Will throw an error if the value is not a valid date
+ */
+function toTime(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const time =
+    value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (isNaN(time)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return time;
+}
+
+/**
+ * Converts a wildcard pattern ('payments:*') into an anchored RegExp; '*'
+ * matches any characters
+ * @param {String} pattern - Wildcard pattern
+ * @returns {RegExp} - Regular expression matching the whole string
+ */
+function wildcardToRegExp(pattern) {
+  const source = String(pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Creates the function mapping an HTTP status to a log level, as used by the
+ * access log and the outbound call log
+ * @param {Object|Function} statusLevels - Level per status ('404') or status class ('5xx', '4xx', ..., 'default'), or a custom function
+ * @returns {Function} - Function (status, ...) returning a level
+ */
+function createStatusLevelMapper(statusLevels) {
+  if (typeof statusLevels === "function") {
+    return statusLevels;
+  }
+
+  const levels = { ...DEFAULT_STATUS_LEVELS, ...(statusLevels || {}) };
+
+  return (status) => {
+    if (!status) {
+      return levels.default;
+    }
+    return (
+      levels[String(status)] ||
+      levels[`${String(status)[0]}xx`] ||
+      levels.default
+    );
+  };
+}
+
+module.exports = {
+  parseDuration,
+  toTime,
+  wildcardToRegExp,
+  createStatusLevelMapper,
+};
@@ -1,5 +1,15 @@
 const winston = require("winston");
+const Transport = require("winston-transport");
 const s3Stream = require("./s3Stream");
+const requestContext = require("./requestContext");
+const redact = require("./redact");
+const namespaceLevels = require("./namespaceLevels");
+const routes = require("./routes");
+const sampling = require("./sampling");
+const metrics = require("./metrics");
+const flightRecorder = require("./flightRecorder");
+const { serializeError, format: errorFormat } = require("./serializeError");
+const consoleOverride = require("./consoleOverride");
 
 /**
  * Creates a Winston logger instance with optional console method overrides
@@ -9,9 +19,18 @@ const s3Stream = require("./s3Stream");
  * @param {Array} config.transports - Array of Winston transports
  * @param {Boolean} config.enableConsoleLogging - Whether to enable console transport
  * @param {Boolean} config.enableS3Logging - Whether to enable S3 streaming
- * @param {Object} config.s3Stream - Preconfigured S3 stream object
+ * @param {Object} config.s3Stream - Preconfigured S3 transport or stream object
+ * @param {Array} config.s3Routes - Additional S3 destinations ({ name, match, stream }); entries go to the first route they match, or to s3Stream
  * @param {Boolean} config.enableUnhandledErrorLogging - Whether to set up global error handlers
- * @param {Boolean} overrideConsole - Whether to override console methods
+ * @param {Boolean} config.exitOnFatal - Whether to flush and exit(1) after an uncaught exception
+ * @param {Function} config.onFatal - Async function (e.g. flush) awaited before exiting on a fatal error
+ * @param {Object|Boolean} config.redact - Redaction options (see redact.createRedactor), or false to disable
+ * @param {String|Object} config.logLevels - Per-namespace levels, e.g. "payments:*=debug,db=warn" or { "payments:*": "debug" }
+ * @param {Object} config.sampling - Sampling, rate limiting and duplicate suppression (see sampling.createSampler)
+ * @param {Object} config.metrics - Metrics registry counting the logged entries (see metrics.createRegistry)
+ * @param {Object} config.alerts - Alert transport posting matching entries to a webhook (see alertTransport.AlertTransport)
+ * @param {Object} config.flightRecorder - In-memory buffer of recent entries written on errors (see flightRecorder.createFlightRecorder); off unless `enabled`
+ * @param {Object|Boolean} overrideConsole - Whether to override console methods, or override options (see consoleOverride.overrideConsole)
  * @returns {Object} - Winston logger instance
  */
 function createLogger(config = {}, overrideConsole = true) {
@@ -20,13 +39,14 @@ function createLogger(config = {}, overrideConsole = true) {
   const enableUnhandledErrorLogging =
     config.enableUnhandledErrorLogging !== false;
   const s3LogStream = config.s3Stream;
+  const s3Routes = (config.s3Routes || []).filter((route) => route.stream);
 
   const defaultConfig = {
     level: "info",
     format: winston.format.combine(
       winston.format.timestamp(),
-      winston.format.json(),
-      winston.format.errors()
+      winston.format.errors({ stack: true }),
+      winston.format.json()
     ),
     transports: [],
   };
@@ -50,104 +70,274 @@ function createLogger(config = {}, overrideConsole = true) {
     ],
   };
 
-  if (
-    enableS3Logging &&
-    s3LogStream &&
-    !mergedConfig.transports.some(
-      (t) => t instanceof winston.transports.Stream && t.stream === s3LogStream
-    )
-  ) {
-    mergedConfig.transports.push(
-      new winston.transports.Stream({ stream: s3LogStream })
-    );
+  const levelController = namespaceLevels.createLevelController({
+    level: mergedConfig.level,
+    rules: config.logLevels,
+    levels: mergedConfig.levels,
+  });
+
+  const sampler = config.sampling
+    ? sampling.createSampler({
+        ...config.sampling,
+        levels: levelController.levels,
+      })
+    : null;
+
+  const recorder =
+    config.flightRecorder && config.flightRecorder.enabled
+      ? flightRecorder.createFlightRecorder({
+          ...config.flightRecorder,
+          isLogged: levelController.isEnabled,
+          levels: levelController.levels,
+        })
+      : null;
+
+  // Namespace levels, request context, sampling, error serialization and
+  // redaction run ahead of any user-supplied format so that custom formats
+  // only see entries that are logged, see the request ID, get errors as
+  // plain objects and never see unmasked values (including error fields).
+  // The flight recorder comes first: it keeps the entries the levels drop.
+  const pipeline = [
+    namespaceLevels.format(levelController),
+    requestContext.format(),
+  ];
+  if (recorder) {
+    pipeline.unshift(flightRecorder.format(recorder));
+  }
+  if (sampler && sampler.enabled) {
+    pipeline.push(sampling.format(sampler));
+  }
+  if (config.metrics) {
+    pipeline.push(metrics.format(config.metrics));
+  }
+  const outputFormats = [errorFormat()];
+  const redactConfig = config.redact === undefined ? {} : config.redact;
+  const redactor =
+    redactConfig && redactConfig.enabled !== false
+      ? redact.createRedactor(redactConfig)
+      : null;
+  if (redactor) {
+    outputFormats.push(redact.format(redactConfig));
+  }
+  pipeline.push(...outputFormats);
+  // dumped entries skip the filters but are serialized and masked the same way
+  const recorderFormat =
+    recorder && winston.format.combine(...outputFormats, mergedConfig.format);
+  mergedConfig.format = winston.format.combine(
+    ...pipeline,
+    mergedConfig.format
+  );
+
+  if (enableS3Logging) {
+    // with routes, every entry is written to exactly one S3 destination
+    const router = s3Routes.length ? routes.createRouter(s3Routes) : null;
+    const destinations = [
+      ...s3Routes.map((route) => ({
+        name: route.name,
+        transportName: `s3:${route.name}`,
+        stream: route.stream,
+      })),
+      { name: routes.DEFAULT_ROUTE, transportName: "s3", stream: s3LogStream },
+    ];
+
+    for (const destination of destinations) {
+      const transport = _createS3Transport(
+        destination,
+        router,
+        mergedConfig.transports
+      );
+      if (transport) {
+        mergedConfig.transports.push(transport);
+      }
+    }
+  }
+
+  if (config.alerts) {
+    mergedConfig.transports.push(config.alerts);
   }
 
   const logger = winston.createLogger(mergedConfig);
+  logger.levelController = levelController;
+  namespaceLevels.attach(logger, levelController);
+  _preserveChildErrors(logger);
+
+  if (recorder) {
+    logger.flightRecorder = recorder;
+    recorder.start(logger, recorderFormat);
+  }
+
+  if (sampler && sampler.enabled) {
+    logger.sampler = sampler;
+    sampler.start(logger);
+
+    if (config.metrics) {
+      config.metrics.collect(
+        {
+          name: "log_entries_suppressed_total",
+          help: "Log entries suppressed by sampling, rate limits and deduplication",
+          type: "counter",
+        },
+        () => {
+          const stats = sampler.getStats();
+          return ["sampled", "rateLimited", "deduplicated"].map((reason) => ({
+            labels: { reason },
+            value: stats[reason],
+          }));
+        }
+      );
+    }
+  }
 
   if (enableUnhandledErrorLogging) {
-    _setupGlobalErrorHandlers(logger);
+    logger.removeErrorHandlers = _setupGlobalErrorHandlers(logger, {
+      exitOnFatal: config.exitOnFatal,
+      onFatal: config.onFatal,
+    });
   }
 
-  if (overrideConsole) {
-    _overrideConsoleMethods(logger);
+  if (overrideConsole && overrideConsole.enabled !== false) {
+    // console arguments are masked before they are formatted into the message
+    logger.restoreConsole = consoleOverride.overrideConsole(logger, {
+      ...(overrideConsole === true ? {} : overrideConsole),
+      redactor,
+    });
   }
 
   return logger;
 }
 
 /**
- * Sets up global error handlers to catch unhandled errors
- * @param {Object} logger - Winston logger instance
+ * Wraps an S3 destination into a transport, filtered to the entries routed
+ * to it
+ * @param {Object} destination - { name, transportName, stream }
+ * @param {Object} router - Router (see routes.createRouter), or null without routes
+ * @param {Array} transports - Transports already configured
+ * @returns {Object|null} - Winston transport, or null if there is nothing to add
  * @private
  */
-function _setupGlobalErrorHandlers(logger) {
-  process.on("uncaughtException", (error) => {
-    logger.error("Uncaught Exception:", {
-      message: error.message,
-      stack: error.stack,
-      timestamp: new Date().toISOString(),
-    });
-  });
+function _createS3Transport(destination, router, transports) {
+  const { stream } = destination;
+  if (
+    !stream ||
+    transports.some(
+      (t) =>
+        t === stream ||
+        (t instanceof winston.transports.Stream && t.stream === stream)
+    )
+  ) {
+    return null;
+  }
 
-  process.on("unhandledRejection", (reason, promise) => {
-    logger.error("Unhandled Promise Rejection:", {
-      reason: reason,
-      promise: promise,
-      timestamp: new Date().toISOString(),
-    });
-  });
+  let transport = stream;
+  if (!(stream instanceof Transport)) {
+    transport = new winston.transports.Stream({ stream });
+    transport.name = destination.transportName;
+  }
+  if (router) {
+    transport.format = router.format(destination.name);
+  }
+  return transport;
+}
 
-  process.on("TypeError", (err) => {
-    logger.error("TypeError:", {
-      message: err.message,
-      stack: err.stack,
-      timestamp: new Date().toISOString(),
+/**
+ * Makes errors logged directly through child loggers (`child.error(err)`)
+ * reach the error serializer. Winston's child loggers copy such an error
+ * into a plain object, losing its class, cause and nested errors; passing it
+ * as the message keeps it intact.
+ * @param {Object} logger - Winston logger instance
+ * @private
+ */
+function _preserveChildErrors(logger) {
+  const baseChild = logger.child;
+
+  logger.child = function (...args) {
+    const child = baseChild.apply(this, args);
+    // Winston defines `write` as a read-only property of the child, so the
+    // override goes on an object layered over it
+    return Object.create(child, {
+      write: {
+        value(info) {
+          if (info instanceof Error) {
+            return child.write({
+              level: info.level,
+              [Symbol.for("level")]: info[Symbol.for("level")] || info.level,
+              message: info,
+            });
+          }
+          return child.write(info);
+        },
+      },
     });
-  });
+  };
 }
 
 /**
- * Overrides default console methods to use the Winston logger
+ * Sets up global error handlers to catch unhandled errors
  * @param {Object} logger - Winston logger instance
+ * @param {Object} options - Handler options
+ * @param {Boolean} options.exitOnFatal - Whether to exit(1) after logging an uncaught exception
+ * @param {Function} options.onFatal - Async function awaited before exiting (e.g. flush)
+ * @returns {Function} - Function removing the handlers
  * @private
  */
-function _overrideConsoleMethods(logger) {
-  const originalConsole = {
-    log: console.log,
-    error: console.error,
-    warn: console.warn,
-    info: console.info,
-    debug: console.debug,
-  };
+function _setupGlobalErrorHandlers(logger, options = {}) {
+  let exiting = false;
 
-  console.log = (...args) => {
-    logger.info(args);
-    originalConsole.log(...args);
-  };
+  const onUncaughtException = (error) => {
+    const serialized = serializeError(error);
+    // whatever led up to the crash, across all requests
+    if (logger.flightRecorder) {
+      logger.flightRecorder.dump({
+        all: true,
+        reason: "uncaughtException",
+        trigger: error,
+      });
+    }
+    logger.error(`Uncaught Exception: ${serialized.message}`, {
+      error: serialized,
+      fatal: true,
+      timestamp: new Date().toISOString(),
+    });
 
-  console.error = (...args) => {
-    logger.error(args);
-    originalConsole.error(...args);
+    if (options.exitOnFatal && !exiting) {
+      exiting = true;
+      Promise.resolve()
+        .then(() => options.onFatal && options.onFatal(error))
+        .catch(() => {})
+        .then(() => process.exit(1));
+    }
   };
 
-  console.warn = (...args) => {
-    logger.warn(args);
-    originalConsole.warn(...args);
+  // the promise itself carries nothing useful and does not serialize
+  const onUnhandledRejection = (reason) => {
+    const serialized = serializeError(reason);
+    logger.error(`Unhandled Promise Rejection: ${serialized.message}`, {
+      error: serialized,
+      timestamp: new Date().toISOString(),
+    });
   };
 
-  console.info = (...args) => {
-    logger.info(args);
-    originalConsole.info(...args);
+  const onTypeError = (err) => {
+    const serialized = serializeError(err);
+    logger.error(`TypeError: ${serialized.message}`, {
+      error: serialized,
+      timestamp: new Date().toISOString(),
+    });
   };
 
-  console.debug = (...args) => {
-    logger.debug(args);
-    originalConsole.debug(...args);
+  process.on("uncaughtException", onUncaughtException);
+  process.on("unhandledRejection", onUnhandledRejection);
+  process.on("TypeError", onTypeError);
+
+  return () => {
+    process.removeListener("uncaughtException", onUncaughtException);
+    process.removeListener("unhandledRejection", onUnhandledRejection);
+    process.removeListener("TypeError", onTypeError);
   };
 }
 
 module.exports = {
   createLogger,
   _setupGlobalErrorHandlers,
-  _overrideConsoleMethods,
+  _overrideConsoleMethods: consoleOverride.overrideConsole,
 };
@@ -0,0 +1,196 @@
+const http = require("http");
+const { once } = require("events");
+const { AlertTransport } = require("../src/alertTransport");
+
+const LEVEL = Symbol.for("level");
+
+const entry = (level, message, extra = {}) => ({
+  level,
+  [LEVEL]: level,
+  message,
+  ...extra,
+});
+
+describe("AlertTransport", () => {
+  let server;
+  let url;
+  let requests;
+  // status of the webhook responses; null leaves requests unanswered
+  let status;
+  let transport;
+
+  const createTransport = (options = {}) => {
+    transport = new AlertTransport({
+      url,
+      source: "test-app",
+      batchWindow: 0,
+      rules: [{ name: "errors", level: "error" }],
+      ...options,
+    });
+    return transport;
+  };
+
+  const log = (...entries) => {
+    for (const info of entries) {
+      transport.log(info, () => {});
+    }
+  };
+
+  beforeEach(async () => {
+    requests = [];
+    status = 200;
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => {
+        requests.push({
+          headers: req.headers,
+          body: JSON.parse(Buffer.concat(chunks).toString("utf8")),
+        });
+        if (status !== null) {
+          res.statusCode = status;
+          res.end();
+        }
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterEach(async () => {
+    if (transport) {
+      transport.close();
+    }
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("batches alerts and merges identical ones", async () => {
+    createTransport({
+      batchWindow: 50,
+      throttle: 0,
+      headers: { authorization: "Bearer token" },
+    });
+
+    log(
+      entry("error", "db down"),
+      entry("warn", "slow query"),
+      entry("error", "db down"),
+      entry("error", "cache down")
+    );
+    expect(requests).toHaveLength(0);
+
+    await once(transport, "sent");
+    expect(requests).toHaveLength(1);
+    expect(requests[0].headers.authorization).toBe("Bearer token");
+    const { body } = requests[0];
+    expect(body).toMatchObject({ source: "test-app", count: 2 });
+    expect(
+      body.alerts.map(({ rule, message, count }) => ({ rule, message, count }))
+    ).toEqual([
+      { rule: "errors", message: "db down", count: 2 },
+      { rule: "errors", message: "cache down", count: 1 },
+    ]);
+    expect(transport.getStats()).toMatchObject({ alerts: 3, sent: 2 });
+  });
+
+  test("sends fatal alerts without waiting for the batch", async () => {
+    createTransport({
+      batchWindow: 60000,
+      rules: [{ name: "fatal", fatal: true }],
+    });
+
+    log(entry("error", "boom", { fatal: true }));
+
+    const { alerts } = await once(transport, "sent").then(([sent]) => sent);
+    expect(alerts.map((alert) => alert.rule)).toEqual(["fatal"]);
+    expect(requests).toHaveLength(1);
+  });
+
+  test("fires threshold rules once enough entries match within the window", async () => {
+    createTransport({
+      rules: [
+        { name: "burst", level: "error", threshold: 3, window: "1m" },
+        { name: "timeouts", pattern: "ETIMEDOUT" },
+      ],
+    });
+
+    log(entry("error", "a"), entry("error", "b"));
+    await transport.flush();
+    expect(requests).toHaveLength(0);
+
+    log(entry("error", "c"), entry("info", "retrying after ETIMEDOUT"));
+    await transport.flush();
+    expect(
+      requests.flatMap(({ body }) => body.alerts.map((alert) => alert.message))
+    ).toEqual(["3 matching entries within 1m", "retrying after ETIMEDOUT"]);
+  });
+
+  test("throttles a rule after it fired and reports what it suppressed", async () => {
+    createTransport({ throttle: 100 });
+
+    log(
+      entry("error", "first"),
+      entry("error", "second"),
+      entry("error", "third")
+    );
+    await transport.flush();
+    expect(requests).toHaveLength(1);
+    expect(transport.getStats()).toMatchObject({ alerts: 1, suppressed: 2 });
+
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    log(entry("error", "fourth"));
+    await transport.flush();
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].body.alerts[0]).toMatchObject({
+      message: "fourth",
+      suppressed: 2,
+    });
+  });
+
+  test("reports a rejected post as failed without retrying it", async () => {
+    status = 500;
+    createTransport({ throttle: 0 });
+    const failed = [];
+    transport.on("failed", (failure) => failed.push(failure));
+
+    log(entry("error", "lost"));
+    await transport.flush();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(requests).toHaveLength(1);
+    expect(failed).toHaveLength(1);
+    expect(failed[0].error.message).toBe("Webhook responded with 500");
+    expect(failed[0].alerts.map((alert) => alert.message)).toEqual(["lost"]);
+    expect(transport.getStats()).toMatchObject({ sent: 0, failed: 1 });
+
+    // the next batch is posted as usual
+    status = 200;
+    log(entry("error", "delivered"));
+    await transport.flush();
+    expect(requests).toHaveLength(2);
+    expect(transport.getStats()).toMatchObject({ sent: 1, failed: 1 });
+  });
+
+  test("fails posts the webhook does not answer within the timeout", async () => {
+    status = null;
+    createTransport({ timeout: 50 });
+
+    log(entry("error", "hanging"));
+    const [failure] = await once(transport, "failed");
+
+    expect(failure.error.message).toBe("Webhook timed out after 50 ms");
+    expect(transport.getStats()).toMatchObject({ failed: 1 });
+  });
+
+  test("fails posts to an unreachable webhook", async () => {
+    await new Promise((resolve) => server.close(resolve));
+    createTransport();
+
+    log(entry("error", "nobody listening"));
+    const [failure] = await once(transport, "failed");
+
+    expect(failure.error.code).toBe("ECONNREFUSED");
+  });
+});
@@ -0,0 +1,65 @@
+const Transport = require("winston-transport");
+const { createLogger } = require("../src/winstonLogger");
+
+const MESSAGE = Symbol.for("message");
+
+class MemoryTransport extends Transport {
+  constructor() {
+    super();
+    this.lines = [];
+  }
+
+  log(info, callback) {
+    this.lines.push(info[MESSAGE]);
+    callback();
+  }
+}
+
+describe("console override", () => {
+  let transport;
+  let logger;
+  let printed;
+
+  beforeEach(() => {
+    // the override keeps calling the original methods; keep the output quiet
+    printed = jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    transport = new MemoryTransport();
+    logger = createLogger(
+      {
+        transports: [transport],
+        enableConsoleLogging: false,
+        enableS3Logging: false,
+        enableUnhandledErrorLogging: false,
+      },
+      true
+    );
+  });
+
+  afterEach(() => {
+    logger.restoreConsole();
+    logger.close();
+    jest.restoreAllMocks();
+  });
+
+  test("masks sensitive keys of object arguments", () => {
+    console.log({ password: "hunter2", headers: { authorization: "xyz" } });
+    console.error("req", { apiKey: "K123", id: 7 });
+
+    const output = transport.lines.join("\n");
+    expect(output).not.toMatch(/hunter2|xyz|K123/);
+    expect(transport.lines).toHaveLength(2);
+    expect(transport.lines[0]).toContain("[REDACTED]");
+    expect(transport.lines[1]).toContain("id: 7");
+  });
+
+  test("leaves the arguments and the terminal output unchanged", () => {
+    const user = { password: "hunter2" };
+    console.log(user);
+
+    expect(user.password).toBe("hunter2");
+    expect(printed).toHaveBeenCalledWith(user);
+    expect(transport.lines[0]).toContain("[REDACTED]");
+  });
+});
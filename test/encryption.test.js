@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const {
+  createKeyProvider,
+  createDecryptor,
+  encrypt,
+} = require("../src/encryption");
+
+// resolves with the decrypted content, or rejects with the stream's error
+function decrypt(body, keyProvider, options) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const decryptor = createDecryptor(keyProvider, options);
+    decryptor.on("data", (chunk) => chunks.push(chunk));
+    decryptor.on("error", reject);
+    decryptor.on("end", () => resolve(Buffer.concat(chunks).toString()));
+    decryptor.end(body);
+  });
+}
+
+describe("createDecryptor", () => {
+  const key = crypto.randomBytes(32);
+  const plain = Buffer.from('{"level":"info","message":"forged"}\n');
+
+  test("rejects plain files once a key is configured", async () => {
+    const keyProvider = createKeyProvider({ key });
+    const { body } = await encrypt(Buffer.from("entry\n"), keyProvider);
+
+    await expect(decrypt(body, keyProvider)).resolves.toBe("entry\n");
+    await expect(decrypt(plain, keyProvider)).rejects.toThrow(
+      "Log file is not encrypted"
+    );
+  });
+
+  test("reads plain files when encryption is not required", async () => {
+    await expect(decrypt(plain, null)).resolves.toBe(plain.toString());
+    await expect(
+      decrypt(plain, createKeyProvider({ key, requireEncryption: "false" }))
+    ).resolves.toBe(plain.toString());
+    await expect(
+      decrypt(plain, createKeyProvider({ key }), { requireEncryption: false })
+    ).resolves.toBe(plain.toString());
+  });
+
+  test("fails files whose content was modified", async () => {
+    const keyProvider = createKeyProvider({ key });
+    const { body } = await encrypt(Buffer.from("entry\n"), keyProvider);
+    body[body.length - 20] ^= 1;
+
+    await expect(decrypt(body, keyProvider)).rejects.toThrow(
+      "failed authentication"
+    );
+  });
+});
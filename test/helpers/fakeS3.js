@@ -0,0 +1,80 @@
+const http = require("http");
+
+/**
+ * Starts a minimal S3 stand-in on a local port: path-style PutObject,
+ * GetObject and ListObjectsV2 on any bucket, plus a switch making every
+ * request fail as if the service were down
+ * @returns {Promise<Object>} - { objects, config, setDown(down), close() }
+ */
+async function startFakeS3() {
+  const objects = new Map();
+  let down = false;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      if (down) {
+        res.statusCode = 503;
+        res.end("<Error><Code>ServiceUnavailable</Code></Error>");
+        return;
+      }
+
+      const url = new URL(req.url, "http://localhost");
+      const [, bucket, ...rest] = url.pathname.split("/");
+      const key = decodeURIComponent(rest.join("/"));
+
+      if (req.method === "PUT") {
+        objects.set(key, Buffer.concat(chunks));
+        res.setHeader("ETag", '"etag"');
+        res.end();
+      } else if (req.method === "GET" && url.searchParams.has("list-type")) {
+        const prefix = url.searchParams.get("prefix") || "";
+        const contents = [...objects.keys()]
+          .filter((name) => name.startsWith(prefix))
+          .sort()
+          .map(
+            (name) =>
+              `<Contents><Key>${name}</Key><Size>${objects.get(name).length}</Size>` +
+              `<LastModified>2026-01-01T00:00:00.000Z</LastModified></Contents>`
+          );
+        res.setHeader("Content-Type", "application/xml");
+        res.end(
+          `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${bucket}</Name>` +
+            `<IsTruncated>false</IsTruncated><KeyCount>${contents.length}</KeyCount>` +
+            `${contents.join("")}</ListBucketResult>`
+        );
+      } else if (req.method === "GET" && objects.has(key)) {
+        res.end(objects.get(key));
+      } else {
+        res.statusCode = 404;
+        res.end("<Error><Code>NoSuchKey</Code></Error>");
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    objects,
+    // S3Client settings pointing at the stand-in; the SDK's own retries are
+    // off so that failures reach the code under test right away
+    config: {
+      region: "us-east-1",
+      endpoint: `http://127.0.0.1:${server.address().port}`,
+      forcePathStyle: true,
+      credentials: { accessKeyId: "test", secretAccessKey: "test" },
+      maxAttempts: 1,
+    },
+    setDown(value) {
+      down = value;
+    },
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  startFakeS3,
+};
@@ -0,0 +1,105 @@
+const http = require("http");
+const Transport = require("winston-transport");
+const { createLogger } = require("../src/winstonLogger");
+const { createLevelControls } = require("../src/levelControls");
+
+class MemoryTransport extends Transport {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  log(info, callback) {
+    this.entries.push(info);
+    callback();
+  }
+}
+
+describe("level admin handler", () => {
+  let transport;
+  let logger;
+  let server;
+  let authorize;
+
+  // resolves with the status and parsed body of a request to the handler
+  const request = (method, body) =>
+    new Promise((resolve, reject) => {
+      const req = http.request(
+        { port: server.address().port, method, path: "/" },
+        (res) => {
+          let data = "";
+          res.on("data", (chunk) => (data += chunk));
+          res.on("end", () =>
+            resolve({ status: res.statusCode, body: JSON.parse(data) })
+          );
+        }
+      );
+      req.on("error", reject);
+      req.end(body);
+    });
+
+  beforeEach(async () => {
+    transport = new MemoryTransport();
+    logger = createLogger(
+      {
+        transports: [transport],
+        enableConsoleLogging: false,
+        enableS3Logging: false,
+        enableUnhandledErrorLogging: false,
+      },
+      false
+    );
+    authorize = () => true;
+    const handler = createLevelControls({ logger }).adminHandler({
+      authorize: (req) => authorize(req),
+    });
+    server = http.createServer((req, res) => handler(req, res));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    logger.close();
+  });
+
+  test("changes the level", async () => {
+    const { status, body } = await request("PUT", '{"level":"debug"}');
+
+    expect(status).toBe(200);
+    expect(body.change).toMatchObject({ target: "default", level: "debug" });
+  });
+
+  test("answers invalid changes with a 400 and the reason", async () => {
+    await expect(request("PUT", '{"level":"loud"}')).resolves.toEqual({
+      status: 400,
+      body: { error: 'Unknown log level "loud".' },
+    });
+    await expect(request("PUT", "{")).resolves.toEqual({
+      status: 400,
+      body: { error: "Request body is not valid JSON." },
+    });
+    await expect(
+      request("PUT", '{"level":"debug","transport":"nope"}')
+    ).resolves.toEqual({
+      status: 400,
+      body: { error: 'Unknown transport "nope".' },
+    });
+  });
+
+  test("answers other failures with a 500 that does not describe them", async () => {
+    authorize = () => {
+      throw new Error("token store unreachable at 10.0.0.7");
+    };
+
+    const response = await request("GET");
+
+    expect(response).toEqual({
+      status: 500,
+      body: { error: "Internal server error" },
+    });
+    const logged = transport.entries.find(
+      (entry) => entry.message === "Level admin request failed"
+    );
+    expect(logged.error.message).toBe("token store unreachable at 10.0.0.7");
+  });
+});
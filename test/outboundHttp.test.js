@@ -0,0 +1,164 @@
+const http = require("http");
+const Transport = require("winston-transport");
+const { createLogger } = require("../src/winstonLogger");
+const outboundHttp = require("../src/outboundHttp");
+
+class MemoryTransport extends Transport {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  log(info, callback) {
+    this.entries.push(info);
+    this.emit("entry", info);
+    callback();
+  }
+}
+
+// resolves with the status and body of a GET, or rejects with its error
+function get(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, options, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () =>
+        resolve({ status: res.statusCode, body: Buffer.concat(chunks) })
+      );
+      res.on("error", reject);
+    });
+    if (options.timeout) {
+      req.on("timeout", () => req.destroy(new Error("client timeout")));
+    }
+    req.on("error", reject);
+  });
+}
+
+describe("outbound http logging", () => {
+  let server;
+  let host;
+  let transport;
+  let logger;
+  let restore;
+
+  // waits for the entry of the next outbound call
+  const nextEntry = () =>
+    new Promise((resolve) => transport.once("entry", resolve));
+
+  beforeEach(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url.startsWith("/ok")) {
+        res.setHeader("Set-Cookie", "session=abc123");
+        res.setHeader("X-Request-Id", "r-1");
+        res.end("hello world");
+      } else if (req.url === "/missing") {
+        res.statusCode = 404;
+        res.end();
+      } else if (req.url === "/reset") {
+        req.socket.destroy();
+      }
+      // any other path is left unanswered
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    host = `127.0.0.1:${server.address().port}`;
+
+    transport = new MemoryTransport();
+    logger = createLogger(
+      {
+        transports: [transport],
+        enableConsoleLogging: false,
+        enableS3Logging: false,
+        enableUnhandledErrorLogging: false,
+      },
+      false
+    );
+    restore = outboundHttp.instrument(logger, {
+      headers: ["authorization", "x-request-id", "set-cookie"],
+    });
+  });
+
+  afterEach(async () => {
+    restore();
+    logger.close();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("logs the method, host, path, status, duration and size of a call", async () => {
+    const logged = nextEntry();
+    const response = await get(`http://${host}/ok`);
+    const entry = await logged;
+
+    expect(response.body.toString()).toBe("hello world");
+    expect(entry).toMatchObject({
+      level: "info",
+      namespace: "outbound",
+      method: "GET",
+      protocol: "http:",
+      host,
+      path: "/ok",
+      status: 200,
+      bytes: 11,
+    });
+    expect(entry.duration).toBeGreaterThanOrEqual(0);
+    expect(entry.message).toMatch(
+      new RegExp(`^GET ${host}/ok 200 [\\d.]+ ms$`)
+    );
+  });
+
+  test("logs client errors at the level of their status", async () => {
+    const logged = nextEntry();
+    await get(`http://${host}/missing`);
+
+    expect(await logged).toMatchObject({ level: "warn", status: 404 });
+  });
+
+  test("logs failed calls with their error", async () => {
+    const logged = nextEntry();
+    await expect(get(`http://${host}/reset`)).rejects.toThrow();
+    const entry = await logged;
+
+    expect(entry.level).toBe("error");
+    expect(entry.status).toBeUndefined();
+    expect(entry.error).toMatchObject({ code: "ECONNRESET" });
+    expect(entry.message).toMatch(
+      new RegExp(`^GET ${host}/reset failed after [\\d.]+ ms: socket hang up$`)
+    );
+  });
+
+  test("logs timed out calls", async () => {
+    const logged = nextEntry();
+    await expect(get(`http://${host}/slow`, { timeout: 50 })).rejects.toThrow(
+      "client timeout"
+    );
+    const entry = await logged;
+
+    expect(entry).toMatchObject({ level: "error", timeout: true });
+    expect(entry.message).toMatch(
+      new RegExp(`^GET ${host}/slow timed out after [\\d.]+ ms`)
+    );
+  });
+
+  test("redacts the logged headers and query strings", async () => {
+    const logged = nextEntry();
+    await get(`http://${host}/ok?token=s3cret&page=2`, {
+      headers: { Authorization: "Bearer s3cret" },
+    });
+    const entry = await logged;
+
+    expect(JSON.stringify(entry)).not.toMatch(/s3cret|abc123/);
+    expect(entry.path).toBe("/ok?token=[REDACTED]&page=2");
+    expect(entry.requestHeaders).toEqual({ authorization: "[REDACTED]" });
+    expect(entry.responseHeaders).toEqual({
+      "x-request-id": "r-1",
+      "set-cookie": "[REDACTED]",
+    });
+  });
+
+  test("does not log requests sent by Lognexus itself", async () => {
+    await outboundHttp.untracked(() => get(`http://${host}/ok`));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(transport.entries).toHaveLength(0);
+  });
+});
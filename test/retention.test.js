@@ -0,0 +1,60 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { createLocalStorage } = require("../src/storage");
+const { compactLogs } = require("../src/retention");
+const { listLogFiles } = require("../src/archiveIndex");
+
+async function readArchive(storage, key) {
+  const chunks = [];
+  for await (const chunk of (await storage.get(key)).pipe(
+    zlib.createGunzip()
+  )) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+describe("compactLogs", () => {
+  let dir;
+  let storage;
+  let options;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "lognexus-retention-"));
+    storage = createLocalStorage({ dir });
+    options = {
+      storage,
+      prefix: "logs/",
+      nameFormat: "%Y-%m-%d-%H-%M-app.log",
+      rotateEvery: "1h",
+      encryption: false,
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("merges a file reusing the name of a merged one instead of deleting it", async () => {
+    await storage.put("logs/2026-10-10-01-00-app.log", Buffer.from("a\n"));
+    await storage.put("logs/2026-10-10-02-00-app.log", Buffer.from("b\n"));
+    await compactLogs(options);
+
+    // e.g. a spool replaying a late segment under the first free name
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await storage.put("logs/2026-10-10-01-00-app.log", Buffer.from("c\n"));
+
+    const visible = await listLogFiles(storage, "logs/", options);
+    expect(visible.map((file) => file.key)).toContain(
+      "logs/2026-10-10-01-00-app.log"
+    );
+
+    const manifest = await compactLogs(options);
+    expect(manifest.compacted).toHaveLength(1);
+    expect(await readArchive(storage, "logs/daily-2026-10-10.log.gz")).toBe(
+      "a\nb\nc\n"
+    );
+  });
+});
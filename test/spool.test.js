@@ -0,0 +1,140 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { once } = require("events");
+const { createSpoolStream } = require("../src/spool");
+const { startFakeS3 } = require("./helpers/fakeS3");
+
+describe("spool", () => {
+  let s3;
+  let dir;
+  let spool;
+
+  const createSpool = (options = {}) => {
+    spool = createSpoolStream({
+      dir,
+      bucket: "logs",
+      folder: "app/",
+      config: s3.config,
+      min_retry_delay: 20,
+      max_retry_delay: 1000,
+      ...options,
+    });
+    return spool;
+  };
+
+  const flush = () =>
+    new Promise((resolve) => spool.flushFile((error) => resolve(error)));
+
+  beforeEach(async () => {
+    s3 = await startFakeS3();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "lognexus-spool-"));
+    spool = null;
+  });
+
+  afterEach(async () => {
+    if (spool) {
+      spool.close();
+    }
+    await s3.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("retries failed uploads with exponential backoff until they succeed", async () => {
+    s3.setDown(true);
+    createSpool();
+    const retries = [];
+    spool.on("retry", (retry) => retries.push(retry));
+
+    spool.write("first entry\n");
+    expect(await flush()).toBeInstanceOf(Error);
+
+    while (retries.length < 3) {
+      await once(spool, "retry");
+    }
+    expect(retries.slice(0, 3).map((retry) => retry.delay)).toEqual([
+      20, 40, 80,
+    ]);
+    expect(retries.map((retry) => retry.attempt)).toEqual(
+      retries.map((retry, index) => index + 1)
+    );
+    expect(s3.objects.size).toBe(0);
+
+    s3.setDown(false);
+    await once(spool, "recovered");
+
+    expect([...s3.objects.values()].map(String)).toEqual(["first entry\n"]);
+    expect(fs.readdirSync(dir)).toEqual([]);
+    expect(spool.getStats()).toMatchObject({ pending: 0, retrying: false });
+  });
+
+  test("replays the files of dead and stale writers, not those of running ones", async () => {
+    const deadPid = spawnSync(process.execPath, ["-e", ""]).pid;
+    const processStarted = Date.now() - process.uptime() * 1000;
+    const files = {
+      dead: `${Date.UTC(2026, 0, 1, 10)}-${deadPid}-0.log`,
+      // same pid as this process, but written before it started
+      stale: `${Math.floor(processStarted) - 60000}-${process.pid}-0.log`,
+      running: `${Date.UTC(2026, 0, 1, 12)}-${process.ppid}-0.log`,
+    };
+    for (const [writer, name] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, name), `${writer}\n`);
+    }
+
+    createSpool();
+    while (s3.objects.size < 2) {
+      await once(spool, "uploaded");
+    }
+
+    expect([...s3.objects.values()].map(String).sort()).toEqual([
+      "dead\n",
+      "stale\n",
+    ]);
+    expect(fs.readdirSync(dir)).toEqual([files.running]);
+  });
+
+  test("drops the oldest spooled files when full with the 'oldest' policy", async () => {
+    s3.setDown(true);
+    createSpool({ max_spool_size: 100, max_file_size: 30 });
+    const drops = [];
+    spool.on("drop", (drop) => drops.push(drop));
+
+    for (let i = 0; i < 5; i++) {
+      spool.write(`${String(i).repeat(29)}\n`);
+    }
+
+    expect(drops).toHaveLength(2);
+    expect(drops.every((drop) => drop.reason === "spool_full")).toBe(true);
+    expect(drops.every((drop) => drop.file)).toBe(true);
+    const kept = fs
+      .readdirSync(dir)
+      .map((name) => fs.readFileSync(path.join(dir, name), "utf8")[0])
+      .sort();
+    expect(kept).toEqual(["2", "3", "4"]);
+    expect(spool.getStats()).toMatchObject({ dropped: 2, spoolSize: 90 });
+  });
+
+  test("drops new entries when full with the 'newest' policy", async () => {
+    s3.setDown(true);
+    createSpool({
+      max_spool_size: 100,
+      max_file_size: 30,
+      drop_policy: "newest",
+    });
+    const drops = [];
+    spool.on("drop", (drop) => drops.push(drop));
+
+    for (let i = 0; i < 5; i++) {
+      spool.write(`${String(i).repeat(29)}\n`);
+    }
+
+    expect(drops).toHaveLength(2);
+    expect(drops.every((drop) => !drop.file && drop.bytes === 30)).toBe(true);
+    const kept = fs
+      .readdirSync(dir)
+      .map((name) => fs.readFileSync(path.join(dir, name), "utf8")[0])
+      .sort();
+    expect(kept).toEqual(["0", "1", "2"]);
+  });
+});